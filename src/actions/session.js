@@ -0,0 +1,25 @@
+/**
+ * =============================================================================
+ * SESSION ACTIONS - Log In and Out From a Form
+ * =============================================================================
+ *
+ * Used by UserGreeting as <form action={login}> and <form action={logout}>.
+ * They write the same `username` cookie as the /login and /logout
+ * endpoints, but the page re-renders on the same response - no separate
+ * confirmation page, and no client JavaScript.
+ */
+
+import { serverAction } from '../server-actions.js';
+import { cookies } from '../dynamic-apis.js';
+
+export const login = serverAction('session/login', async (formData) => {
+  const username = String(formData.get('username') ?? '').trim() || 'TestUser';
+
+  (await cookies()).set('username', username, { httpOnly: true });
+  console.log(`   🔑 Logged in as "${username}"`);
+});
+
+export const logout = serverAction('session/logout', async () => {
+  (await cookies()).delete('username', { httpOnly: true });
+  console.log('   👋 Logged out');
+});
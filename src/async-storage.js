@@ -18,6 +18,8 @@
  */
 
 import { AsyncLocalStorage } from 'node:async_hooks';
+import { createResponseState } from './response.js';
+import { createCacheSignal } from './cache-signal.js';
 
 // Create a single storage instance that will hold our render context
 export const renderStorage = new AsyncLocalStorage();
@@ -34,17 +36,66 @@ export const renderStorage = new AsyncLocalStorage();
  *
  * During prerender, we track any dynamic API accesses. If a component
  * calls cookies() or headers(), we record it here.
+ *
+ * @param {object} [options]
+ * @param {string} [options.route] - The route pattern (e.g. /products/:id)
+ * @param {string} [options.pathname] - The concrete path (e.g. /products/1)
+ * @param {object} [options.params] - Values for the route's dynamic segments
+ * @param {boolean} [options.staticParams] - Were the params enumerated by
+ *   generateStaticParams()? If not, params() postpones.
+ * @param {'prospective'|'final'} [options.phase] - Which of the two
+ *   renders this is (see cache.js)
  */
-export function createPrerenderStore() {
+export function createPrerenderStore({
+  route = '/',
+  pathname = route,
+  params = {},
+  staticParams = true,
+  phase = 'prospective',
+} = {}) {
   return {
     type: 'prerender',
 
+    // Prospective renders fill caches, final renders read them
+    phase,
+
+    // Pending cache reads of THIS render - cacheReady() waits for them
+    // (see cache-signal.js)
+    cacheSignal: createCacheSignal(),
+
+    // Which page is being prerendered - used in postpone reasons so the
+    // build report can say WHICH route went dynamic
+    route,
+    pathname,
+
+    // Route params - only safe to bake into the shell when they were
+    // enumerated at build time
+    params,
+    staticParams,
+
     // Track which dynamic APIs were accessed
     // In Next.js, this is called DynamicTrackingState
     dynamicAccesses: [],
 
     // Has any component accessed dynamic data?
     accessedDynamicData: false,
+
+    // Tags of every cache entry this render used (see cache.js) - if one
+    // is revalidated, this page's shell is stale
+    cacheTags: new Set(),
+
+    // Earliest cacheLife deadlines of those entries (ms, Infinity = never)
+    revalidateAt: Infinity,
+    expireAt: Infinity,
+
+    // Every cache key this render looked up → { name, args } (args in
+    // their canonical encoding), and the lookups the final render missed -
+    // for diagnostics (see prerender.js)
+    cacheReads: new Map(),
+    cacheMisses: [],
+
+    // Results of memo() functions - this render only (see memo.js)
+    memoCache: new Map(),
   };
 }
 
@@ -53,13 +104,33 @@ export function createPrerenderStore() {
  *
  * At request time, dynamic APIs actually return real data
  * (the actual cookies from the request, etc.)
+ *
+ * @param {object} req - The Express request
+ * @param {object} [options]
+ * @param {object} [options.params] - The matched route params
+ * @param {boolean} [options.isDraftMode] - Did the request carry a valid
+ *   draft cookie? (see draft-mode.js)
+ * @param {object} [options.res] - The Express response, if cookies and
+ *   headers may be written during this request (see response.js)
  */
-export function createRequestStore(req) {
+export function createRequestStore(req, { params = {}, isDraftMode = false, res = null } = {}) {
   return {
     type: 'request',
 
     // The actual HTTP request - dynamic APIs will read from this
     request: req,
+
+    // Pending cookie/header writes for the response (null = read-only)
+    response: res ? createResponseState(res) : null,
+
+    // The route params matched for this request (see router.js)
+    params,
+
+    // Draft requests render everything fresh - no shell, no cache
+    isDraftMode,
+
+    // Results of memo() functions - this request only (see memo.js)
+    memoCache: new Map(),
   };
 }
 
@@ -90,18 +161,31 @@ export function isPrerendering() {
  *
  * In Next.js, this is part of the postponeWithTracking function.
  * When you call cookies() during prerender, this gets called.
+ *
+ * @param {string} expression - The dynamic API, e.g. 'cookies()'
+ * @param {object} [details] - Extra context from the caller
+ * @param {string} [details.reason] - The postpone reason handed to React
+ * @param {string|null} [details.ownerStack] - React's owner stack at the call
  */
-export function trackDynamicAccess(expression) {
+export function trackDynamicAccess(expression, { reason = null, ownerStack = null } = {}) {
   const store = renderStorage.getStore();
 
   if (store?.type === 'prerender') {
     store.dynamicAccesses.push({
       expression,
+      route: store.route,
+      pathname: store.pathname,
+      reason,
+      ownerStack,
+      // Filled in by the prerender's onPostpone() once React tells us
+      // which component and Suspense boundary this postpone landed in
+      component: null,
+      boundary: null,
       stack: new Error().stack, // Capture stack for debugging
     });
     store.accessedDynamicData = true;
 
-    console.log(`[PPR] Dynamic access detected: ${expression}`);
+    console.log(`[PPR] Dynamic access detected: ${expression} (route ${store.route})`);
   }
 }
 
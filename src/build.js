@@ -26,69 +26,88 @@
  * Next.js doesn't "wait longer" for async operations. Instead, it:
  * 1. Uses a first render to discover and fill caches
  * 2. Uses a second render where cached data is instantly available
+ *
+ * MULTIPLE ROUTES:
+ * ----------------
+ * Every page under src/routes/ goes through both phases on its own and
+ * gets its own shell, postponed state and metadata in dist/routes/.
+ * Dynamic routes (e.g. /products/:id) are prerendered once per param set
+ * returned by their generateStaticParams(). dist/manifest.json ties each
+ * concrete page path to its artifacts.
+ *
+ * CLIENT COMPONENTS:
+ * ------------------
+ * Before anything renders, the build walks each route's imports to the
+ * 'use client' modules it uses and writes them to
+ * dist/client-manifest.json (see client-manifest.js) - what the browser
+ * may load, and which modules each route preloads.
+ *
+ * STRICT BUILDS:
+ * --------------
+ * A cache miss in the final render means a cached function's key changed
+ * between the two renders (an argument like Date.now()). Its result was
+ * computed while the shell was being captured, so it may or may not make
+ * it in. Normally that's a warning; `npm run build -- --strict` (or
+ * PPR_STRICT_BUILD=1) fails the build with a diagnostic instead.
+ *
+ * Cached functions whose keys are non-deterministic on purpose go in
+ * PPR_STRICT_ALLOW - comma-separated names or derived IDs, e.g.
+ * PPR_STRICT_ALLOW=server-time,src/data/clock.js#fetchTime
  */
 
-import { writeFileSync, mkdirSync } from 'node:fs';
-import React from 'react';
-
-// Import the static prerender API
-import { prerenderToNodeStream } from 'react-dom/static';
-
-import { App } from './components/App.js';
-import { renderStorage, createPrerenderStore } from './async-storage.js';
+import { mkdirSync } from 'node:fs';
 
-// Import the cache module
+import { discoverRoutes, getRouteParams, buildRoutePath } from './router.js';
 import {
-  setRenderPhase,
-  cacheReady,
-  saveCache,
-  clearCache,
-  getCacheStats,
-  resetCacheSignal,
-} from './cache.js';
+  DIST_DIR,
+  writeRouteArtifacts,
+  writeManifest,
+  writeClientManifest,
+  clearRouteArtifacts,
+} from './manifest.js';
+import { prerenderRoute, createPageMetadata } from './prerender.js';
+import { createClientManifest, setClientManifest, registerClientModules } from './client-manifest.js';
 
-/**
- * Perform a React prerender and return the result
- */
-async function performPrerender(prerenderStore, options = {}) {
-  const { abortAfterMs = 100, phase = 'unknown' } = options;
-
-  const controller = new AbortController();
-  const chunks = [];
-
-  const resultPromise = renderStorage.run(prerenderStore, async () => {
-    const pendingResult = prerenderToNodeStream(
-      React.createElement(App),
-      {
-        signal: controller.signal,
-        onError(error) {
-          if (!error.message?.includes('abort')) {
-            console.error(`   ❌ [${phase}] Render error:`, error.message);
-          }
-        }
-      }
-    );
-
-    // Give components time to start, then abort
-    await new Promise(resolve => setTimeout(resolve, abortAfterMs));
-
-    console.log(`   ⏱️  [${phase}] Aborting prerender...`);
-    controller.abort(`${phase} complete`);
+// Import the cache module
+import { clearCache, closeCacheHandler } from './cache.js';
+import { createBuildId, setBuildId } from './cache-ids.js';
 
-    const result = await pendingResult;
+const STRICT = process.argv.includes('--strict') || ['1', 'true'].includes(process.env.PPR_STRICT_BUILD);
 
-    // Read the prelude stream
-    for await (const chunk of result.prelude) {
-      chunks.push(chunk);
-    }
+// Cached functions allowed to miss in the final render of a strict build
+const STRICT_ALLOW = (process.env.PPR_STRICT_ALLOW ?? '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
 
-    return {
-      html: Buffer.concat(chunks).toString('utf-8'),
-      postponed: result.postponed
-    };
-  });
+/**
+ * Shorten a canonical argument encoding or cache key for the console
+ */
+function abbreviate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
 
-  return resultPromise;
+/**
+ * Explain one final-render cache miss (see describeCacheMisses() in
+ * prerender.js)
+ */
+function formatCacheMiss(miss, indent) {
+  const lines = [
+    `cached function: ${miss.name}`,
+    `  - final render asked for:  ${abbreviate(miss.args ?? '(unknown)', 120)}`,
+    `                             key ${abbreviate(miss.key, 60)}`,
+  ];
+  if (miss.filled.length === 0) {
+    lines.push('  + prospective render filled: nothing - it never called this function');
+  }
+  for (const filled of miss.filled) {
+    lines.push(`  + prospective render filled: ${abbreviate(filled.args ?? '(unknown)', 120)}`);
+    lines.push(`                             key ${abbreviate(filled.key, 60)}`);
+  }
+  lines.push('  component stack:');
+  const frames = (miss.callerStack ?? '').split('\n').map(frame => frame.trim()).filter(Boolean);
+  lines.push(...(frames.length > 0 ? frames.slice(0, 8) : ['(unavailable)']).map(frame => `    ${frame}`));
+  return lines.map(line => `${indent}${line}`).join('\n');
 }
 
 /**
@@ -101,160 +120,158 @@ async function build() {
   console.log('='.repeat(70));
   console.log('');
 
-  // Clear any stale cache
-  mkdirSync('./dist', { recursive: true });
-  clearCache();
-
-  // =========================================================================
-  // PHASE 1: PROSPECTIVE RENDER (Cache Filling)
-  // =========================================================================
-  //
-  // This is like Next.js's "prospective render". We render the app to
-  // discover and fill all caches. The result of this render is discarded.
-  //
-  // =========================================================================
+  // Clear any stale cache and route artifacts (including shells the
+  // server regenerated since the last build)
+  mkdirSync(DIST_DIR, { recursive: true });
+  clearRouteArtifacts();
+  await clearCache();
+
+  // Salts derived cache IDs (see cache-ids.js) - the server reads it back
+  // from manifest.json
+  const buildId = createBuildId();
+  setBuildId(buildId);
+  console.log(`🏷️  Build ID: ${buildId}`);
+  if (STRICT) {
+    console.log(`🔒 Strict build: final-render cache misses fail the build${
+      STRICT_ALLOW.length > 0 ? ` (allowed: ${STRICT_ALLOW.join(', ')})` : ''
+    }`);
+  }
 
-  console.log('');
-  console.log('🔄 PHASE 1: Prospective Render (Cache Filling)');
-  console.log('='.repeat(50));
-  console.log('');
+  const routes = await discoverRoutes();
+  console.log(`🗺️  Found ${routes.length} route(s):`);
+  routes.forEach(route => console.log(`   ${route.path.padEnd(20)} ${route.file}`));
+
+  // 'use client' modules must be client references before anything is
+  // rendered or cached
+  const clientManifest = await createClientManifest(routes);
+  setClientManifest(clientManifest);
+  await registerClientModules(clientManifest);
+  const clientModules = Object.entries(clientManifest.modules);
+  console.log(`🧭 Found ${clientModules.length} client module(s):`);
+  clientModules.forEach(([moduleId, { exports }]) => console.log(`   ${moduleId} (${exports.join(', ')})`));
+
+  const manifest = {
+    buildId,
+    buildTime: new Date().toISOString(),
+    routes: {},
+  };
 
-  setRenderPhase('prospective');
-  const prospectiveStore = createPrerenderStore();
+  // Final-render cache misses strict mode doesn't allow, for the end
+  const strictViolations = [];
 
-  console.log('   Starting React prerender...');
-  console.log('   (Cached functions will execute during this render)');
-  console.log('');
+  for (const route of routes) {
+    const paramsList = await getRouteParams(route);
 
-  // Start the prospective render - don't abort too quickly!
-  // We need to let cached functions complete.
-  const prospectiveController = new AbortController();
-
-  const prospectivePromise = renderStorage.run(prospectiveStore, async () => {
-    return prerenderToNodeStream(
-      React.createElement(App),
-      {
-        signal: prospectiveController.signal,
-        onError(error) {
-          if (!error.message?.includes('abort')) {
-            console.error('   ❌ [Prospective] Error:', error.message);
-          }
-        }
+    if (route.isDynamic) {
+      console.log('');
+      console.log(`🧩 ${route.path}: generateStaticParams() returned ${paramsList.length} param set(s)`);
+      if (route.dynamicParams) {
+        console.log('   Other params will be prerendered on demand at request time');
+      } else {
+        console.log('   Other params will 404 (dynamicParams = false)');
       }
-    );
-  });
-
-  // Wait for all caches to be filled (like cacheSignal.cacheReady())
-  console.log('   ⏳ Waiting for all caches to fill...');
-  await cacheReady();
-  console.log('   ✅ All caches filled!');
-  console.log('');
-
-  // Now abort the prospective render - we don't need its output
-  prospectiveController.abort('Prospective render complete - caches filled');
-
-  // Consume the prospective result (we discard it)
-  try {
-    const prospectiveResult = await prospectivePromise;
-    for await (const _ of prospectiveResult.prelude) {
-      // Discard chunks
     }
-  } catch (e) {
-    // Expected - we aborted
-  }
-
-  // Save the cache
-  saveCache();
 
-  const cacheStats = getCacheStats();
-  console.log(`   📊 Cache Statistics:`);
-  console.log(`      Entries: ${cacheStats.size}`);
-  cacheStats.entries.forEach(key => console.log(`      - ${key}`));
-  console.log('');
+    for (const params of paramsList) {
+      const pagePath = buildRoutePath(route, params);
 
-  // =========================================================================
-  // PHASE 2: FINAL RENDER (Cache Reading)
-  // =========================================================================
-  //
-  // This is like Next.js's "final render". The cache is warm, so cached
-  // functions return instantly. This allows async components to complete
-  // within React's timing window.
-  //
-  // =========================================================================
+      console.log('');
+      console.log('='.repeat(70));
+      console.log(` ROUTE ${pagePath}${route.isDynamic ? `  (${route.path})` : ''}`);
+      console.log('='.repeat(70));
 
-  console.log('');
-  console.log('🎯 PHASE 2: Final Render (Cache Reading)');
-  console.log('='.repeat(50));
-  console.log('');
-
-  // Reset the cache signal for the new render
-  resetCacheSignal();
-  setRenderPhase('final');
-  const finalStore = createPrerenderStore();
-
-  console.log('   Starting React prerender with warm cache...');
-  console.log('   (Cached functions will return instantly)');
-  console.log('');
-
-  let result;
-  try {
-    result = await performPrerender(finalStore, {
-      abortAfterMs: 100,
-      phase: 'Final'
-    });
-  } catch (error) {
-    console.error('❌ Final render failed:', error);
-    process.exit(1);
-  }
+      let result;
+      try {
+        result = await prerenderRoute(route, params);
+      } catch (error) {
+        console.error(`❌ Prerender failed for ${pagePath}:`, error);
+        process.exit(1);
+      }
 
-  const { html: htmlContent, postponed: postponedState } = result;
+      const { html: htmlContent, postponed: postponedState, dynamicAccesses } = result;
+
+      // =====================================================================
+      // STEP 3: Analyze and save results
+      // =====================================================================
+
+      console.log('');
+      console.log('📊 Analyzing results...');
+      console.log('');
+
+      if (dynamicAccesses.length > 0) {
+        console.log('   ⚡ Dynamic holes detected (will stream at request time):');
+        dynamicAccesses.forEach((access, i) => {
+          console.log(`      ${i + 1}. <Suspense> in ${access.boundary ?? '(unknown boundary)'}`);
+          console.log(`         component: ${access.component ?? '(unknown)'}`);
+          console.log(`         reason:    ${access.reason}`);
+        });
+      } else {
+        console.log('   ✅ No dynamic APIs - page is fully static!');
+      }
 
-  // =========================================================================
-  // STEP 3: Analyze and save results
-  // =========================================================================
+      if (postponedState !== null) {
+        console.log('');
+        console.log('   🎯 Postponed state captured for resume()');
+      }
 
-  console.log('');
-  console.log('📊 Analyzing results...');
-  console.log('');
+      if (result.cacheMisses.length > 0) {
+        console.log('');
+        console.log('   ⚠️  The final render missed the cache (the key changed since Phase 1):');
+        for (const miss of result.cacheMisses) {
+          const allowed = STRICT_ALLOW.includes(miss.name);
+          console.log(formatCacheMiss(miss, '      '));
+          if (allowed) {
+            console.log('      (allowed by PPR_STRICT_ALLOW)');
+          } else {
+            strictViolations.push({ pagePath, miss });
+          }
+        }
+      }
 
-  const dynamicAccesses = finalStore.dynamicAccesses;
-  const hasDynamicContent = dynamicAccesses.length > 0;
-  const hasPostponedState = postponedState !== null;
-
-  if (dynamicAccesses.length > 0) {
-    console.log('   ⚡ Dynamic APIs detected (will stream at request time):');
-    dynamicAccesses.forEach((access, i) => {
-      console.log(`      ${i + 1}. ${access.expression}`);
-    });
-  } else {
-    console.log('   ✅ No dynamic APIs - page is fully static!');
+      // Save artifacts
+      console.log('');
+      console.log('💾 Saving build artifacts...');
+
+      const metadata = createPageMetadata(route, pagePath, params, result, manifest.buildTime);
+
+      manifest.routes[pagePath] = writeRouteArtifacts(pagePath, {
+        html: htmlContent,
+        postponed: postponedState,
+        hydration: result.hydration,
+        metadata,
+      });
+      console.log(`   ✅ dist/routes/${manifest.routes[pagePath].dir}/`);
+
+      // Show preview
+      console.log('');
+      console.log(`   👀 Static shell preview (${pagePath}):`);
+      console.log('');
+      console.log(htmlContent.slice(0, 2500));
+      if (htmlContent.length > 2500) {
+        console.log('... (truncated)');
+      }
+    }
   }
 
-  if (hasPostponedState) {
-    console.log('');
-    console.log('   🎯 Postponed state captured for resume()');
+  if (STRICT && strictViolations.length > 0) {
+    console.error('');
+    console.error(`❌ Strict build failed: ${strictViolations.length} cache miss(es) in the final render`);
+    for (const { pagePath, miss } of strictViolations) {
+      console.error('');
+      console.error(`   ${pagePath}`);
+      console.error(formatCacheMiss(miss, '   '));
+    }
+    console.error('');
+    console.error('   Make the cached arguments deterministic, or add the function to PPR_STRICT_ALLOW.');
+    process.exit(1);
   }
 
-  // Save artifacts
+  // Cache entries were written to the cache handler as they were filled
   console.log('');
-  console.log('💾 Saving build artifacts...');
-
-  writeFileSync('./dist/shell.html', htmlContent, 'utf-8');
-  console.log('   ✅ dist/shell.html');
-
-  const metadata = {
-    hasDynamicContent,
-    hasPostponedState,
-    dynamicAccesses: dynamicAccesses.map(a => a.expression),
-    buildTime: new Date().toISOString(),
-  };
-  writeFileSync('./dist/metadata.json', JSON.stringify(metadata, null, 2), 'utf-8');
-  console.log('   ✅ dist/metadata.json');
-
-  if (hasPostponedState) {
-    writeFileSync('./dist/postponed.json', JSON.stringify(postponedState), 'utf-8');
-    console.log('   ✅ dist/postponed.json');
-  }
+  writeManifest(manifest);
+  console.log('   ✅ dist/manifest.json');
+  writeClientManifest(clientManifest);
+  console.log('   ✅ dist/client-manifest.json');
 
   // =========================================================================
   // Summary
@@ -270,22 +287,22 @@ async function build() {
   console.log('  PHASE 1 (Prospective): Rendered to fill caches');
   console.log('  PHASE 2 (Final):       Rendered with warm caches');
   console.log('');
-  console.log(`Page type: ${hasDynamicContent ? 'PARTIAL (has dynamic holes)' : 'FULLY STATIC'}`);
+  console.log('Routes:');
+  for (const [path, entry] of Object.entries(manifest.routes)) {
+    const type = entry.hasDynamicContent ? 'PARTIAL (has dynamic holes)' : 'FULLY STATIC';
+    console.log(`  ${path.padEnd(20)} ${type}`);
+    for (const moduleId of clientManifest.routes[entry.route] ?? []) {
+      console.log(`  ${''.padEnd(20)}   ↳ client: ${moduleId}`);
+    }
+    for (const access of entry.dynamicAccesses) {
+      console.log(`  ${''.padEnd(20)}   ↳ ${access.component} used ${access.expression} (${access.boundary})`);
+    }
+  }
   console.log('');
   console.log('Run: npm start');
   console.log('Visit: http://localhost:3000');
   console.log('');
-
-  // Show preview
-  console.log('='.repeat(70));
-  console.log(' STATIC SHELL PREVIEW');
-  console.log('='.repeat(70));
-  console.log('');
-  console.log(htmlContent.slice(0, 2500));
-  if (htmlContent.length > 2500) {
-    console.log('... (truncated)');
-  }
-  console.log('');
 }
 
-build().catch(console.error);
+// Closing the cache handler's connections lets the process exit
+build().catch(console.error).finally(closeCacheHandler);
@@ -0,0 +1,118 @@
+/**
+ * =============================================================================
+ * FILESYSTEM CACHE HANDLER - One File per Entry
+ * =============================================================================
+ *
+ * The default. The build fills dist/cache/ and the server reads it, so
+ * entries survive restarts, and server processes on the same machine
+ * (or sharing a volume) see each other's writes.
+ *
+ *   dist/cache/
+ *     3f2a9c...json   ← { key, entry } for one cache key
+ *     ...
+ *
+ * File names are a hash of the cache key (keys can contain any
+ * character). Writes go to a temporary file that is renamed into place, so
+ * a reader never sees half an entry. Every write has its own temporary
+ * file - concurrent writes of one key each rename a complete entry, and
+ * the last one wins.
+ *
+ * A file that isn't a valid entry anyway (truncated by a full disk,
+ * edited by hand) is a miss, and is deleted so the next write replaces it.
+ */
+
+import { mkdir, readFile, writeFile, rename, rm, readdir } from 'node:fs/promises';
+import { createHash, randomUUID } from 'node:crypto';
+import { join } from 'node:path';
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] - Where entries live (default dist/cache)
+ */
+export function createFilesystemCacheHandler({ dir = './dist/cache' } = {}) {
+  function fileFor(key) {
+    return join(dir, `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+  }
+
+  async function readRecord(file) {
+    let record;
+    try {
+      record = JSON.parse(await readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+    }
+
+    if (typeof record?.key !== 'string' || !Array.isArray(record.entry?.tags)) {
+      console.warn(`   ⚠️  Deleting corrupt cache file ${file}`);
+      await rm(file, { force: true });
+      return null;
+    }
+    return record;
+  }
+
+  async function readAllRecords() {
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = await Promise.all(
+      files.filter(file => file.endsWith('.json')).map(file => readRecord(join(dir, file)))
+    );
+    return records.filter(Boolean);
+  }
+
+  return {
+    name: `filesystem (${dir})`,
+
+    async get(key) {
+      const record = await readRecord(fileFor(key));
+      // Hash collisions are unlikely, but cheap to rule out
+      return record?.key === key ? record.entry : undefined;
+    },
+
+    async set(key, entry) {
+      await mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tempFile = `${file}.${randomUUID()}.tmp`;
+      await writeFile(tempFile, JSON.stringify({ key, entry }), 'utf-8');
+      try {
+        await rename(tempFile, file);
+      } catch (error) {
+        // Not storing an entry only costs a cache miss - a render that
+        // wrote it still has its value
+        await rm(tempFile, { force: true });
+        console.warn(`   ⚠️  Couldn't store cache entry ${key}: ${error.message}`);
+      }
+    },
+
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    },
+
+    async revalidateTags(tags) {
+      const evicted = [];
+      for (const { key, entry } of await readAllRecords()) {
+        if (entry.tags.some(tag => tags.includes(tag))) {
+          await rm(fileFor(key), { force: true });
+          evicted.push(key);
+        }
+      }
+      return evicted;
+    },
+
+    async keys() {
+      return (await readAllRecords()).map(record => record.key);
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * CACHE HANDLERS - Where cached() and cachedComponent() Keep Their Entries
+ * =============================================================================
+ *
+ * This is a simplified version of Next.js's cacheHandlers config.
+ *
+ * A cache handler is an object with async methods:
+ *
+ *   get(key)               → entry, or undefined on a miss
+ *   set(key, entry)        → store an entry ({ value, tags, createdAt, cacheLife })
+ *                            - plain JSON, `value` is Flight text (see flight.js)
+ *   delete(key)            → drop one entry
+ *   revalidateTags(tags)   → drop every entry with any of the tags,
+ *                            resolve to the dropped keys
+ *   keys()                 → every key currently stored (for stats/logs)
+ *   close()                → optional, release connections
+ *   shared                 → optional, true if other servers use the same
+ *                            entries (the build then leaves them alone)
+ *
+ * plus a `name` for logs. Three ship with the demo:
+ *
+ *   filesystem (default)  one file per entry in dist/cache/
+ *   memory                size-bounded LRU, per process
+ *   redis                 shared by every server pointed at the same Redis
+ *
+ * Pick one with PPR_CACHE_HANDLER, or call setCacheHandler() (cache.js)
+ * with your own object.
+ */
+
+import { createFilesystemCacheHandler } from './filesystem.js';
+import { createMemoryCacheHandler } from './memory.js';
+import { createRedisCacheHandler } from './redis.js';
+import { startRedisStandIn } from './redis-stand-in.js';
+import { getBuildId } from '../cache-ids.js';
+
+export { createFilesystemCacheHandler, createMemoryCacheHandler, createRedisCacheHandler, startRedisStandIn };
+
+/**
+ * Create the handler selected by environment variables
+ *
+ *   PPR_CACHE_HANDLER    filesystem | memory | redis (default filesystem)
+ *   PPR_CACHE_MAX_BYTES  memory: size limit in bytes
+ *   PPR_REDIS_URL        redis: redis://host:port - without it, an
+ *                        in-process stand-in is started (not shared!)
+ */
+export async function createCacheHandlerFromEnv() {
+  const type = process.env.PPR_CACHE_HANDLER || 'filesystem';
+
+  switch (type) {
+    case 'filesystem':
+      return createFilesystemCacheHandler();
+
+    case 'memory': {
+      const maxBytes = Number(process.env.PPR_CACHE_MAX_BYTES);
+      return createMemoryCacheHandler(maxBytes > 0 ? { maxBytes } : {});
+    }
+
+    case 'redis': {
+      if (process.env.PPR_REDIS_URL) {
+        return createRedisCacheHandler({ url: process.env.PPR_REDIS_URL, namespace: getBuildId });
+      }
+
+      const standIn = await startRedisStandIn();
+      console.log(`   ⚠️  PPR_REDIS_URL isn't set - using an in-process Redis stand-in at ${standIn.url}`);
+      console.log('      Its data is lost on exit and not shared with other processes.');
+
+      const handler = createRedisCacheHandler({ url: standIn.url, namespace: getBuildId });
+      return {
+        ...handler,
+        name: `${handler.name}, in-process stand-in`,
+        shared: false,
+        async close() {
+          await handler.close();
+          await standIn.close();
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown PPR_CACHE_HANDLER "${type}". Use filesystem, memory or redis.`);
+  }
+}
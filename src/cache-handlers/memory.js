@@ -0,0 +1,91 @@
+/**
+ * =============================================================================
+ * MEMORY CACHE HANDLER - Size-Bounded LRU in This Process
+ * =============================================================================
+ *
+ * Fastest handler, but every server process has its own copy and nothing
+ * survives a restart. Entries are kept serialized, which gives an exact
+ * size for the byte limit and means callers can't mutate cached values.
+ *
+ * When the total size goes over `maxBytes`, the least recently used
+ * entries are evicted. (A Map iterates in insertion order, so moving an
+ * entry to the end on every read keeps the LRU one at the front.)
+ */
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Total size limit (default 50 MB)
+ */
+export function createMemoryCacheHandler({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  // key → { text, bytes, tags }
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const stored = entries.get(key);
+    if (!stored) {
+      return false;
+    }
+    entries.delete(key);
+    totalBytes -= stored.bytes;
+    return true;
+  }
+
+  return {
+    name: `memory LRU (${maxBytes} bytes max)`,
+
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) {
+        return undefined;
+      }
+      // Most recently used goes to the back
+      entries.delete(key);
+      entries.set(key, stored);
+      return JSON.parse(stored.text);
+    },
+
+    async set(key, entry) {
+      const text = JSON.stringify(entry);
+      const bytes = Buffer.byteLength(text);
+      remove(key);
+
+      if (bytes > maxBytes) {
+        console.log(`   ⚠️  Not caching ${key}: ${bytes} bytes is over the ${maxBytes} byte limit`);
+        return;
+      }
+
+      entries.set(key, { text, bytes, tags: entry.tags });
+      totalBytes += bytes;
+
+      for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) {
+          break;
+        }
+        remove(oldest);
+        console.log(`   🧹 Evicted ${oldest} (cache over ${maxBytes} bytes)`);
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async revalidateTags(tags) {
+      const evicted = [];
+      for (const [key, stored] of entries) {
+        if (stored.tags.some(tag => tags.includes(tag))) {
+          remove(key);
+          evicted.push(key);
+        }
+      }
+      return evicted;
+    },
+
+    async keys() {
+      return Array.from(entries.keys());
+    },
+  };
+}
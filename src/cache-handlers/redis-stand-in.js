@@ -0,0 +1,152 @@
+/**
+ * =============================================================================
+ * REDIS STAND-IN - A Tiny In-Process Redis for Local Testing
+ * =============================================================================
+ *
+ * Implements the handful of commands the Redis cache handler sends, over
+ * real TCP and real RESP - so the handler is exercised exactly as it would
+ * be against Redis, without installing Redis.
+ *
+ *   PING, GET, SET (with PX), DEL, EXISTS, SADD, SREM, SMEMBERS, FLUSHALL,
+ *   MULTI/EXEC/DISCARD (queued per connection, run in one go)
+ *
+ * Data lives in this process only, so it is NOT shared between servers.
+ * Set PPR_REDIS_URL to a real Redis for that.
+ */
+
+import { createServer } from 'node:net';
+import { encodeReply, parseReply } from './resp.js';
+
+const OK = { simple: 'OK' };
+
+/**
+ * Start the stand-in
+ *
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export function startRedisStandIn({ port = 0 } = {}) {
+  // key → { value, expiresAt } for strings, key → Set for sets
+  const strings = new Map();
+  const sets = new Map();
+
+  function readString(key) {
+    const stored = strings.get(key);
+    if (stored && stored.expiresAt !== null && stored.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return undefined;
+    }
+    return stored;
+  }
+
+  function execute([name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'GET':
+        return readString(args[0])?.value ?? null;
+      case 'SET': {
+        const [key, value, option, ms] = args;
+        const expiresAt = option?.toUpperCase() === 'PX' ? Date.now() + Number(ms) : null;
+        strings.set(key, { value, expiresAt });
+        return OK;
+      }
+      case 'DEL':
+        return args.filter(key => {
+          const existed = readString(key) !== undefined || sets.has(key);
+          strings.delete(key);
+          sets.delete(key);
+          return existed;
+        }).length;
+      case 'EXISTS':
+        return args.filter(key => readString(key) !== undefined || sets.has(key)).length;
+      case 'SADD': {
+        const [key, ...members] = args;
+        const set = sets.get(key) ?? new Set();
+        sets.set(key, set);
+        return members.filter(member => !set.has(member) && set.add(member)).length;
+      }
+      case 'SREM': {
+        const [key, ...members] = args;
+        const set = sets.get(key);
+        return set ? members.filter(member => set.delete(member)).length : 0;
+      }
+      case 'SMEMBERS':
+        return Array.from(sets.get(args[0]) ?? []);
+      case 'FLUSHALL':
+        strings.clear();
+        sets.clear();
+        return OK;
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  const server = createServer(socket => {
+    let buffer = Buffer.alloc(0);
+
+    // Commands queued since MULTI (null: no transaction)
+    let queued = null;
+
+    function run(args) {
+      switch (args[0].toUpperCase()) {
+        case 'MULTI':
+          if (queued) {
+            return new Error('ERR MULTI calls can not be nested');
+          }
+          queued = [];
+          return OK;
+        case 'EXEC': {
+          if (!queued) {
+            return new Error('ERR EXEC without MULTI');
+          }
+          const commands = queued;
+          queued = null;
+          return commands.map(execute);
+        }
+        case 'DISCARD':
+          if (!queued) {
+            return new Error('ERR DISCARD without MULTI');
+          }
+          queued = null;
+          return OK;
+        default:
+          if (queued) {
+            queued.push(args);
+            return { simple: 'QUEUED' };
+          }
+          return execute(args);
+      }
+    }
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let command;
+        while ((command = parseReply(buffer))) {
+          buffer = buffer.subarray(command.offset);
+          if (!Array.isArray(command.value) || typeof command.value[0] !== 'string') {
+            throw new Error('commands must be arrays of bulk strings');
+          }
+          socket.write(encodeReply(run(command.value)));
+        }
+      } catch (error) {
+        // A malformed frame - there's no telling where the next command
+        // starts, so this connection is done (like Redis's "Protocol error")
+        socket.removeAllListeners('data');
+        socket.end(encodeReply(new Error(`ERR Protocol error: ${error.message}`)));
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * =============================================================================
+ * REDIS CACHE HANDLER - One Cache Shared by Every Server
+ * =============================================================================
+ *
+ * With several server instances behind a load balancer, the memory and
+ * filesystem handlers give each instance its own cache: one instance
+ * revalidates 'products', the others keep serving the old entries.
+ * Pointing all of them at the same Redis fixes that.
+ *
+ * This speaks the Redis protocol directly (see resp.js) - no client
+ * library. Keys:
+ *
+ *   ppr:<build>:entry:<cache key>  → serialized entry (expires with cacheLife)
+ *   ppr:<build>:tags:<cache key>   → set of that entry's tags
+ *   ppr:<build>:tag:<tag>          → set of cache keys with that tag
+ *   ppr:<build>:keys               → set of all cache keys
+ *
+ * WHY A NAMESPACE PER BUILD?
+ * --------------------------
+ * The Redis is shared with servers that are still running the previous
+ * build. Instead of clearing it, every build gets its own keys (the build
+ * ID - see cache-ids.js) and never sees another build's. Entries without
+ * a cacheLife `expire` stay behind once their build is gone - give Redis
+ * a maxmemory-policy that evicts them.
+ *
+ * An entry's tags are kept next to it, so deleting or revalidating it
+ * takes it out of every tag set it's in - not just the one revalidated.
+ *
+ * WHY MULTI/EXEC?
+ * ---------------
+ * Writing an entry touches up to five keys. Sent one by one, a
+ * revalidateTags() on another server could run between the SET and the
+ * SADDs, find the new entry in no tag set, and leave it in place. Every
+ * write goes out as one transaction instead, so a revalidation sees all
+ * of it or none of it.
+ *
+ * The tags to take a key out of are read just before the transaction. If
+ * another write slips in between, the worst left behind is a tag set
+ * listing a key without that tag - which only evicts it once too often.
+ *
+ * For local testing without Redis, see redis-stand-in.js.
+ */
+
+import { connect } from 'node:net';
+import { encodeCommand, parseReply } from './resp.js';
+
+const PREFIX = 'ppr:';
+
+/**
+ * A minimal Redis client: one connection, commands answered in order
+ *
+ * @param {string} url - redis://host:port
+ */
+function createRespClient(url) {
+  const { hostname, port } = new URL(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+
+  // Commands waiting for their reply, oldest first
+  const pending = [];
+
+  function failPending(error) {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  }
+
+  function ensureConnected() {
+    if (socket) {
+      return;
+    }
+    const current = connect({ host: hostname, port: Number(port) || 6379 });
+    socket = current;
+
+    current.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        while (pending.length > 0 && (reply = parseReply(buffer))) {
+          buffer = buffer.subarray(reply.offset);
+          const { resolve, reject } = pending.shift();
+          if (reply.value instanceof Error) {
+            reject(reply.value);
+          } else {
+            resolve(reply.value);
+          }
+        }
+      } catch (error) {
+        // A reply we can't parse - the rest of the stream can't be matched
+        // to commands anymore, so drop the connection and start over
+        socket = null;
+        buffer = Buffer.alloc(0);
+        current.destroy();
+        failPending(error);
+      }
+    });
+
+    // Reconnect on the next command. A connection that's already been
+    // replaced (see above) has nothing left to fail.
+    current.on('error', error => {
+      if (socket === current) {
+        failPending(error);
+      }
+    });
+    current.on('close', () => {
+      if (socket === current) {
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failPending(new Error(`Connection to ${url} closed`));
+      }
+    });
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    command(...args) {
+      ensureConnected();
+      return send(args);
+    },
+
+    /**
+     * Run commands as one MULTI/EXEC transaction
+     *
+     * They're written in one go, so no other caller's command can end up
+     * inside it.
+     *
+     * @param {Array<Array<string>>} commands
+     * @returns {Promise<Array>} Their replies
+     */
+    async transaction(commands) {
+      ensureConnected();
+      const replies = [['MULTI'], ...commands, ['EXEC']].map(send);
+      const results = (await Promise.all(replies)).at(-1);
+      const failed = results.find(result => result instanceof Error);
+      if (failed) {
+        throw failed;
+      }
+      return results;
+    },
+
+    close() {
+      socket?.end();
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.url - redis://host:port
+ * @param {Function} [options.namespace] - Returns the current build's
+ *   namespace (read for every command - the build sets its ID after the
+ *   handler is created)
+ */
+export function createRedisCacheHandler({ url, namespace = () => 'default' }) {
+  const client = createRespClient(url);
+  const prefix = () => `${PREFIX}${namespace()}:`;
+  const entryKey = key => `${prefix()}entry:${key}`;
+  const entryTagsKey = key => `${prefix()}tags:${key}`;
+  const tagKey = tag => `${prefix()}tag:${tag}`;
+  const allKeys = () => `${prefix()}keys`;
+
+  const readTags = key => client.command('SMEMBERS', entryTagsKey(key));
+
+  /**
+   * Commands that list a key in its tags' sets
+   */
+  function trackCommands(key, tags) {
+    const commands = tags.map(tag => ['SADD', tagKey(tag), key]);
+    if (tags.length > 0) {
+      commands.push(['SADD', entryTagsKey(key), ...tags]);
+    }
+    commands.push(['SADD', allKeys(), key]);
+    return commands;
+  }
+
+  /**
+   * Commands that take a key out of every set that lists it
+   */
+  function untrackCommands(key, tags) {
+    return [
+      ...tags.map(tag => ['SREM', tagKey(tag), key]),
+      ['DEL', entryTagsKey(key)],
+      ['SREM', allKeys(), key],
+    ];
+  }
+
+  return {
+    name: `redis (${url})`,
+    shared: true,
+
+    async get(key) {
+      const text = await client.command('GET', entryKey(key));
+      return text === null ? undefined : JSON.parse(text);
+    },
+
+    async set(key, entry) {
+      const args = ['SET', entryKey(key), JSON.stringify(entry)];
+
+      // Let Redis drop the entry once it's past its cacheLife `expire`
+      const expire = entry.cacheLife?.expire ?? null;
+      if (expire !== null) {
+        const ttl = entry.createdAt + expire * 1000 - Date.now();
+        args.push('PX', Math.max(1, Math.ceil(ttl)));
+      }
+
+      // The entry it replaces may have had other tags
+      const previousTags = await readTags(key);
+      await client.transaction([
+        ...untrackCommands(key, previousTags),
+        ...trackCommands(key, entry.tags),
+        args,
+      ]);
+    },
+
+    async delete(key) {
+      const tags = await readTags(key);
+      await client.transaction([['DEL', entryKey(key)], ...untrackCommands(key, tags)]);
+    },
+
+    async revalidateTags(tags) {
+      const evicted = [];
+      for (const tag of tags) {
+        const commands = [];
+        // key → where its DEL's reply is
+        const deletes = new Map();
+        for (const key of await client.command('SMEMBERS', tagKey(tag))) {
+          deletes.set(key, commands.length);
+          // Also SREM from this tag's set by name, in case the key's own
+          // tag list is gone. Not DEL: a write that lands meanwhile is
+          // listed in it and has to stay there.
+          commands.push(
+            ['DEL', entryKey(key)],
+            ['SREM', tagKey(tag), key],
+            ...untrackCommands(key, await readTags(key))
+          );
+        }
+        if (commands.length === 0) {
+          continue;
+        }
+        const replies = await client.transaction(commands);
+        for (const [key, index] of deletes) {
+          if (replies[index] > 0) {
+            evicted.push(key);
+          }
+        }
+      }
+      return evicted;
+    },
+
+    async keys() {
+      const keys = [];
+      for (const key of await client.command('SMEMBERS', allKeys())) {
+        // Entries that expired in Redis are still listed in the sets
+        if (await client.command('EXISTS', entryKey(key)) > 0) {
+          keys.push(key);
+          continue;
+        }
+        await client.transaction(untrackCommands(key, await readTags(key)));
+
+        // A set() may have landed since the EXISTS - list it again
+        const text = await client.command('GET', entryKey(key));
+        if (text !== null) {
+          await client.transaction(trackCommands(key, JSON.parse(text).tags));
+          keys.push(key);
+        }
+      }
+      return keys;
+    },
+
+    async close() {
+      client.close();
+    },
+  };
+}
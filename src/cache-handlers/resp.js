@@ -0,0 +1,116 @@
+/**
+ * =============================================================================
+ * RESP - The Redis Wire Protocol (Just Enough of It)
+ * =============================================================================
+ *
+ * Redis clients and servers talk RESP over TCP. A command is an array of
+ * bulk strings, a reply is one of five types:
+ *
+ *   SET k v        → *3\r\n$3\r\nSET\r\n$1\r\nk\r\n$1\r\nv\r\n
+ *   +OK\r\n          simple string
+ *   -ERR ...\r\n     error
+ *   :1\r\n           integer
+ *   $5\r\nhello\r\n  bulk string ($-1\r\n is null)
+ *   *2\r\n...        array of replies (*-1\r\n is null)
+ *
+ * Shared by the Redis cache handler (client side) and the in-process
+ * stand-in server (which parses commands with the same parser).
+ */
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command (or any array of strings) as a RESP array
+ */
+export function encodeCommand(args) {
+  let out = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return out;
+}
+
+/**
+ * Encode a reply (used by the stand-in server)
+ *
+ * null → null bulk string, number → integer, string → bulk string,
+ * array → array, Error → error, { simple } → simple string
+ */
+export function encodeReply(value) {
+  if (value === null || value === undefined) {
+    return `$-1${CRLF}`;
+  }
+  if (value instanceof Error) {
+    return `-${value.message}${CRLF}`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}${CRLF}`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}${CRLF}${value.map(encodeReply).join('')}`;
+  }
+  if (typeof value === 'object' && 'simple' in value) {
+    return `+${value.simple}${CRLF}`;
+  }
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+}
+
+/**
+ * Parse one reply from the front of a buffer
+ *
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {{ value: *, offset: number } | null} null if the buffer doesn't
+ *   hold a complete reply yet
+ */
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      // Returned, not thrown - the caller decides (see redis.js)
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * =============================================================================
+ * CACHE IDS - Naming Cached Functions Without a Compiler
+ * =============================================================================
+ *
+ * Next.js's compiler gives every 'use cache' function an ID:
+ *
+ *   sha1(buildId + 'app/components/ProductDetails.tsx' + ':' + 'ProductDetails')
+ *
+ * (see docs/CACHE_KEY_GENERATION.md). cached() and cachedComponent() can
+ * do the same at runtime - pass the function without a name:
+ *
+ *   export const fetchUser = cached(async function fetchUser(id) { ... });
+ *
+ * - The FILE comes from the call stack (the module that called cached()),
+ *   or from `{ moduleUrl: import.meta.url }`
+ * - The NAME is the function's name, or `{ exportName: 'fetchUser' }`
+ * - The SALT is the build ID, so a new build never reads an older build's
+ *   entries
+ *
+ * Moving or renaming the file changes the ID, so the old entries are
+ * simply never read again. Two cached functions with the same ID (same
+ * file, same name - or the same hand-written name) fail when the second
+ * one is created, instead of silently sharing entries.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { relative, sep } from 'node:path';
+import { loadManifest } from './manifest.js';
+
+// IDs are relative to the project root, so they don't depend on where the
+// project is checked out
+const PROJECT_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// `${kind}:${id}` → the function registered under it
+const registeredIds = new Map();
+
+let buildId = null;
+
+/**
+ * Create a fresh build ID (or use PPR_BUILD_ID, like Next.js's generateBuildId)
+ */
+export function createBuildId() {
+  return process.env.PPR_BUILD_ID || randomBytes(8).toString('hex');
+}
+
+/**
+ * Set the build ID (the build does this before rendering anything)
+ */
+export function setBuildId(id) {
+  buildId = id;
+}
+
+/**
+ * The current build ID - set by the build, read from manifest.json by
+ * the server
+ *
+ * Without a build yet it's 'development', but that isn't kept: once a
+ * build writes manifest.json, the next call picks up its ID.
+ */
+export function getBuildId() {
+  if (buildId === null) {
+    const manifestBuildId = loadManifest()?.buildId;
+    if (!manifestBuildId) {
+      return 'development';
+    }
+    buildId = manifestBuildId;
+  }
+  return buildId;
+}
+
+/**
+ * Find the module that called `calledFunction`
+ *
+ * @param {Function} calledFunction - Stack frames above it are skipped
+ * @returns {string|null} A file:// URL
+ */
+function callerModuleUrl(calledFunction) {
+  const holder = {};
+  const previous = Error.prepareStackTrace;
+  try {
+    // V8 hands us structured call sites instead of a string
+    Error.prepareStackTrace = (_, callSites) => callSites;
+    Error.captureStackTrace(holder, calledFunction);
+    const fileName = holder.stack[0]?.getFileName();
+    if (!fileName) {
+      return null;
+    }
+    return fileName.startsWith('file:') ? fileName : `file://${fileName}`;
+  } finally {
+    Error.prepareStackTrace = previous;
+  }
+}
+
+/**
+ * Derive the ID of a cached function from where it's defined
+ *
+ * @param {Function} fn - The function being cached
+ * @param {object} options
+ * @param {string} [options.moduleUrl] - import.meta.url of its module
+ * @param {string} [options.exportName] - Defaults to fn.name
+ * @param {Function} calledFunction - cached() or cachedComponent(), to find
+ *   the caller on the stack
+ * @returns {string} e.g. 'src/data/users.js#fetchUser'
+ */
+export function deriveCacheId(fn, { moduleUrl, exportName = fn.name } = {}, calledFunction) {
+  const url = moduleUrl ?? callerModuleUrl(calledFunction);
+  if (!url) {
+    throw new Error(`Couldn't find the module that defines cached function "${exportName}". Pass { moduleUrl: import.meta.url }.`);
+  }
+  if (!exportName) {
+    throw new Error(
+      `A cached function without a name needs a name to derive its ID from (in ${url}). ` +
+      'Use a named function or pass { exportName }.'
+    );
+  }
+
+  const file = relative(PROJECT_ROOT, fileURLToPath(url)).split(sep).join('/');
+  return `${file}#${exportName}`;
+}
+
+/**
+ * Register a cached function's ID, failing if another function has it
+ *
+ * @param {'function'|'component'} kind
+ * @param {string} id - A derived ID or a hand-written name
+ * @param {Function} fn
+ */
+export function registerCacheId(kind, id, fn) {
+  const key = `${kind}:${id}`;
+  const existing = registeredIds.get(key);
+  if (existing && existing !== fn) {
+    throw new Error(
+      `Cache ID collision: two cached ${kind}s are named "${id}". ` +
+      'They would read each other\'s entries - give one of them a different name.'
+    );
+  }
+  registeredIds.set(key, fn);
+}
+
+/**
+ * The key prefix for a derived ID: a hash of the build ID and the ID,
+ * like the compiler-generated IDs in Next.js
+ */
+export function saltedCacheId(id) {
+  return createHash('sha1').update(getBuildId()).update(id).digest('hex');
+}
@@ -0,0 +1,153 @@
+/**
+ * =============================================================================
+ * CACHE KEYS - Hashing the Arguments of a Cached Call
+ * =============================================================================
+ *
+ * A cached call is looked up by its function's ID plus its arguments.
+ * JSON.stringify(args) is a poor key:
+ *
+ *   { a: 1, b: 2 } and { b: 2, a: 1 }   → different keys for the same call
+ *   [undefined] and [null]              → the same key for different calls
+ *   new Map([[1, 2]])                   → "{}", like every other Map
+ *   10n                                 → throws
+ *
+ * Next.js serializes the arguments with React's encodeReply(). We write a
+ * small canonical encoding instead:
+ *
+ * - Every value is tagged with its type, so 1, '1' and 1n differ
+ * - Object keys are sorted, and Map/Set entries are sorted by their
+ *   encoding, so insertion order doesn't matter
+ * - undefined, -0, NaN, Dates, BigInts and typed arrays are kept exactly
+ *
+ * The encoding is hashed (SHA-256), so every key has the same length no
+ * matter how big the arguments are. Values that can't be compared by
+ * content - functions, class instances, React elements such as children -
+ * are an error naming the cached function.
+ */
+
+import { createHash } from 'node:crypto';
+
+const REACT_ELEMENT_TYPE = Symbol.for('react.transitional.element');
+
+/**
+ * Encode one value canonically
+ *
+ * @param {*} value
+ * @param {string} path - Where the value is, for error messages
+ * @param {Set} ancestors - Objects being encoded (to catch cycles)
+ * @returns {string}
+ */
+function encodeKeyPart(value, path, ancestors) {
+  switch (typeof value) {
+    case 'undefined':
+      return 'u';
+    case 'boolean':
+      return value ? 'T' : 'F';
+    case 'number':
+      return Object.is(value, -0) ? 'd-0' : `d${value}`;
+    case 'bigint':
+      return `i${value}`;
+    case 'string':
+      return `s${JSON.stringify(value)}`;
+    case 'symbol': {
+      const name = Symbol.keyFor(value);
+      if (name === undefined) {
+        throw new Error(`found ${value.toString()} at ${path} (only Symbol.for() symbols can be compared)`);
+      }
+      return `y${JSON.stringify(name)}`;
+    }
+    case 'function':
+      throw new Error(`found a function (${value.name || 'anonymous'}) at ${path}`);
+  }
+
+  if (value === null) {
+    return 'n';
+  }
+
+  if (ancestors.has(value)) {
+    throw new Error(`found a circular reference at ${path}`);
+  }
+  ancestors.add(value);
+
+  try {
+    if (value.$$typeof === REACT_ELEMENT_TYPE) {
+      throw new Error(`found a React element at ${path} (children can't be part of a cache key)`);
+    }
+
+    if (value instanceof Date) {
+      return `D${Number.isNaN(value.getTime()) ? 'invalid' : value.toISOString()}`;
+    }
+
+    if (ArrayBuffer.isView(value)) {
+      const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+      return `B${value.constructor.name}:${bytes.toString('base64')}`;
+    }
+
+    if (value instanceof ArrayBuffer) {
+      return `BArrayBuffer:${Buffer.from(value).toString('base64')}`;
+    }
+
+    if (value instanceof Map) {
+      const entries = Array.from(value, ([key, item], index) =>
+        `${encodeKeyPart(key, `${path}<key ${index}>`, ancestors)}=>${encodeKeyPart(item, `${path}<value ${index}>`, ancestors)}`
+      );
+      return `M{${entries.sort().join(',')}}`;
+    }
+
+    if (value instanceof Set) {
+      const items = Array.from(value, (item, index) => encodeKeyPart(item, `${path}<item ${index}>`, ancestors));
+      return `S{${items.sort().join(',')}}`;
+    }
+
+    if (Array.isArray(value)) {
+      // Array.from turns holes into undefined
+      const items = Array.from(value, (item, index) => encodeKeyPart(item, `${path}[${index}]`, ancestors));
+      return `[${items.join(',')}]`;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+      throw new Error(
+        `found an instance of ${value.constructor?.name ?? 'a class'} at ${path} ` +
+        '(pass plain data - objects, arrays, Dates, Maps, Sets, typed arrays)'
+      );
+    }
+
+    const entries = Object.keys(value).sort().map(key =>
+      `${JSON.stringify(key)}:${encodeKeyPart(value[key], `${path}.${key}`, ancestors)}`
+    );
+    return `{${entries.join(',')}}`;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+/**
+ * Encode the arguments of a cached call canonically, before hashing
+ *
+ * Readable, so diagnostics can show what a key was made of (see
+ * prerender.js).
+ *
+ * @param {string} name - The cached function, for error messages
+ * @param {Array} args - The call's arguments (a component passes [props])
+ * @param {string} [label] - What to call the arguments in errors
+ * @returns {string}
+ */
+export function encodeCacheArguments(name, args, label = 'args') {
+  try {
+    return encodeKeyPart(args, label, new Set());
+  } catch (error) {
+    throw new Error(`Can't use the ${label} of cached function "${name}" as a cache key: ${error.message}`);
+  }
+}
+
+/**
+ * Hash the arguments of a cached call into a fixed-length key part
+ *
+ * Takes the same arguments as encodeCacheArguments().
+ *
+ * @returns {string} 64 hex characters
+ */
+export function hashCacheArguments(name, args, label = 'args') {
+  return createHash('sha256').update(encodeCacheArguments(name, args, label)).digest('hex');
+}
@@ -0,0 +1,200 @@
+/**
+ * =============================================================================
+ * CACHE METRICS - Which Cached Functions Actually Pay Off?
+ * =============================================================================
+ *
+ * cache.js reports every lookup here. For each cache entry we count:
+ *
+ *   hits, misses    how often it was found / had to be computed
+ *   fill time       how long computing (and encoding) it took
+ *   bytes           the size of its Flight payload
+ *   last access     when it was last read or filled
+ *   tags            what revalidates it
+ *
+ * A function with many hits and a slow fill is earning its keep; one that
+ * misses every time only adds a lookup.
+ *
+ * The server exposes the numbers when PPR_CACHE_METRICS=1:
+ *
+ *   GET /__ppr/cache   JSON, per cached function and per entry
+ *   GET /metrics       Prometheus text format, per cached function
+ *
+ * Counters live in this process and start at zero on every restart. Only
+ * the most recently used MAX_TRACKED_ENTRIES entries are kept (private
+ * entries alone are one per user); per-function totals are never dropped.
+ */
+
+// Metrics are served over HTTP only when this is set
+const METRICS_ENABLED = ['1', 'true'].includes(process.env.PPR_CACHE_METRICS);
+
+const MAX_TRACKED_ENTRIES = 1000;
+
+// cache key → per-entry counters (Map order = least recently used first)
+const entryMetrics = new Map();
+
+// `${scope}:${name}` → per-function totals
+const functionMetrics = new Map();
+
+/**
+ * Are the metrics endpoints enabled?
+ */
+export function isCacheMetricsEnabled() {
+  return METRICS_ENABLED;
+}
+
+function functionCounters(name, scope) {
+  const id = `${scope}:${name}`;
+  let counters = functionMetrics.get(id);
+  if (!counters) {
+    counters = { name, scope, hits: 0, misses: 0, fills: 0, fillMs: 0 };
+    functionMetrics.set(id, counters);
+  }
+  return counters;
+}
+
+function entryCounters(key, name, scope) {
+  let counters = entryMetrics.get(key);
+  if (counters) {
+    // Most recently used goes to the back
+    entryMetrics.delete(key);
+  } else {
+    counters = {
+      key,
+      name,
+      scope,
+      hits: 0,
+      misses: 0,
+      fills: 0,
+      fillMs: 0,
+      lastFillMs: null,
+      bytes: 0,
+      lastAccess: null,
+      tags: [],
+    };
+    if (entryMetrics.size >= MAX_TRACKED_ENTRIES) {
+      entryMetrics.delete(entryMetrics.keys().next().value);
+    }
+  }
+  entryMetrics.set(key, counters);
+  counters.lastAccess = Date.now();
+  return counters;
+}
+
+/**
+ * A lookup found the entry
+ *
+ * @param {string} key - The cache key
+ * @param {string} name - The cached function
+ * @param {'shared'|'private'} scope
+ * @param {object} entry - { value, tags, ... } as stored
+ */
+export function recordCacheHit(key, name, scope, entry) {
+  const counters = entryCounters(key, name, scope);
+  counters.hits++;
+  counters.bytes = Buffer.byteLength(entry.value);
+  counters.tags = [...entry.tags];
+  functionCounters(name, scope).hits++;
+}
+
+/**
+ * A lookup didn't find the entry (it's about to be computed)
+ */
+export function recordCacheMiss(key, name, scope) {
+  entryCounters(key, name, scope).misses++;
+  functionCounters(name, scope).misses++;
+}
+
+/**
+ * An entry was computed and stored
+ *
+ * @param {number} durationMs - Computing + encoding it
+ */
+export function recordCacheFill(key, name, scope, entry, durationMs) {
+  const counters = entryCounters(key, name, scope);
+  counters.fills++;
+  counters.fillMs += durationMs;
+  counters.lastFillMs = durationMs;
+  counters.bytes = Buffer.byteLength(entry.value);
+  counters.tags = [...entry.tags];
+
+  const totals = functionCounters(name, scope);
+  totals.fills++;
+  totals.fillMs += durationMs;
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+function hitRatio({ hits, misses }) {
+  return hits + misses === 0 ? null : round(hits / (hits + misses));
+}
+
+/**
+ * Everything, for GET /__ppr/cache (busiest first)
+ */
+export function getCacheMetrics() {
+  const entries = Array.from(entryMetrics.values(), counters => ({
+    ...counters,
+    hitRatio: hitRatio(counters),
+    fillMs: round(counters.fillMs),
+    avgFillMs: counters.fills === 0 ? null : round(counters.fillMs / counters.fills),
+    lastFillMs: counters.lastFillMs === null ? null : round(counters.lastFillMs),
+    lastAccess: new Date(counters.lastAccess).toISOString(),
+  }));
+
+  const functions = Array.from(functionMetrics.values(), totals => {
+    const own = entries.filter(entry => entry.name === totals.name && entry.scope === totals.scope);
+    return {
+      ...totals,
+      hitRatio: hitRatio(totals),
+      fillMs: round(totals.fillMs),
+      avgFillMs: totals.fills === 0 ? null : round(totals.fillMs / totals.fills),
+      // Time saved: every hit skipped an average fill
+      savedMs: totals.fills === 0 ? 0 : round(totals.hits * (totals.fillMs / totals.fills)),
+      entries: own.length,
+      bytes: own.reduce((sum, entry) => sum + entry.bytes, 0),
+    };
+  });
+
+  const busiest = (a, b) => (b.hits + b.misses) - (a.hits + a.misses);
+  return {
+    functions: functions.sort(busiest),
+    entries: entries.sort(busiest),
+  };
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Per-function metrics in the Prometheus text format, for GET /metrics
+ *
+ * Labelled by function and scope only - one series per cache entry
+ * would be one per user for private entries.
+ */
+export function formatPrometheusMetrics() {
+  const { functions } = getCacheMetrics();
+  const metrics = [
+    ['ppr_cache_hits_total', 'counter', 'Cache lookups that found an entry', f => f.hits],
+    ['ppr_cache_misses_total', 'counter', 'Cache lookups that had to compute the value', f => f.misses],
+    ['ppr_cache_fills_total', 'counter', 'Entries computed and stored', f => f.fills],
+    ['ppr_cache_fill_seconds_total', 'counter', 'Time spent computing and encoding entries', f => f.fillMs / 1000],
+    ['ppr_cache_entries', 'gauge', 'Tracked entries', f => f.entries],
+    ['ppr_cache_bytes', 'gauge', 'Size of the tracked entries', f => f.bytes],
+  ];
+
+  const lines = [];
+  for (const [metric, type, help, read] of metrics) {
+    lines.push(`# HELP ${metric} ${help}`);
+    lines.push(`# TYPE ${metric} ${type}`);
+    for (const totals of functions) {
+      lines.push(`${metric}{name="${label(totals.name)}",scope="${totals.scope}"} ${read(totals)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,114 @@
+/**
+ * =============================================================================
+ * CACHE SIGNAL - Knowing When a Prerender's Cache Reads Are Done
+ * =============================================================================
+ *
+ * This is a simplified version of Next.js's CacheSignal.
+ *
+ * Next.js's CacheSignal works by:
+ * 1. Starting a render
+ * 2. As 'use cache' functions are called, beginRead() is called
+ * 3. When they complete, endRead() is called
+ * 4. cacheReady() waits until all reads that STARTED have completed
+ *
+ * The tricky part: we need to wait for the render to START encountering
+ * cached functions before we can know if there are any to wait for.
+ *
+ * ONE SIGNAL PER PRERENDER:
+ * -------------------------
+ * Every prerender store gets its own signal (see async-storage.js), and
+ * cached functions report to the signal of the render they're called
+ * from. Two prerenders running at once - a background regeneration during
+ * an on-demand prerender, say - each wait for their own reads only.
+ *
+ * The signal also remembers WHICH cache entries a render finished reading.
+ * prerender.js compares the two phases: every entry the prospective render
+ * filled must have been read again by the final render before it was
+ * aborted, or part of the shell would be missing.
+ */
+
+/**
+ * Schedule a callback after "one trip around the event loop"
+ * This matches Next.js's approach: setImmediate → setTimeout(0)
+ */
+function scheduleAfterEventLoop(cb) {
+  setImmediate(() => {
+    setTimeout(cb, 0);
+  });
+}
+
+/**
+ * Create a cache signal for one render
+ */
+export function createCacheSignal() {
+  let pendingReads = 0;
+  let readyResolvers = [];
+  let hasStartedReading = false;
+  const completedReads = new Set();
+
+  /**
+   * Called when count reaches 0 - schedule check after event loop
+   * This mirrors Next.js's noMorePendingCaches()
+   */
+  function noMorePendingCaches() {
+    scheduleAfterEventLoop(() => {
+      if (pendingReads === 0) {
+        // Still 0 after event loop - all caches are ready
+        readyResolvers.forEach(resolve => resolve());
+        readyResolvers = [];
+      }
+      // If count > 0, a new read started - wait for it
+    });
+  }
+
+  return {
+    beginRead() {
+      pendingReads++;
+      hasStartedReading = true;
+    },
+
+    /**
+     * @param {string} [key] - The cache key that was read
+     */
+    endRead(key) {
+      pendingReads--;
+      if (key !== undefined) {
+        completedReads.add(key);
+      }
+      if (pendingReads === 0 && hasStartedReading) {
+        // Count reached 0 - but wait one event loop cycle before resolving
+        // (React might schedule more work that triggers more cache reads)
+        noMorePendingCaches();
+      }
+    },
+
+    /**
+     * Wait for all cache reads to complete
+     *
+     * Next.js's approach:
+     * - If there are pending reads, wait for them to complete
+     * - If count is 0, wait "one task" to allow initial cache reads to start
+     * - Uses event loop scheduling, NOT fixed timeouts
+     */
+    cacheReady() {
+      return new Promise(resolve => {
+        readyResolvers.push(resolve);
+
+        if (pendingReads === 0) {
+          // No pending reads yet - wait one trip around the event loop
+          // to give React a chance to start rendering and hit cached functions
+          noMorePendingCaches();
+        }
+      });
+    },
+
+    get pendingReads() {
+      return pendingReads;
+    },
+
+    // Cache keys of the reads that have finished
+    get completedReads() {
+      return completedReads;
+    },
+  };
+}
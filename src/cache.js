@@ -11,7 +11,7 @@
  *    - React renders the component tree
  *    - 'use cache' functions execute and store results in prerenderResumeDataCache
  *    - cacheSignal tracks when all cache reads are complete
- *    - Wait for cacheSignal.cacheReady()
+ *    - Wait for cacheSignal.cacheReady() (see cache-signal.js)
  *
  * 2. RENDER 2 ("Final Render"):
  *    - React renders again
@@ -23,185 +23,562 @@
  * We simulate this with:
  * - Phase 1: "Prospective render" with cache filling enabled
  * - Phase 2: "Final render" with cache reading only
+ *
+ * TAGS:
+ * -----
+ * Every entry carries the tags from its `tags` option, so it can be
+ * evicted without a rebuild (see revalidate.js):
+ *
+ *   cached('products', fn, { tags: ['products'] })
+ *
+ * Entries are never rewritten when they're read. Which pages used which
+ * entries - what revalidatePath() evicts - is kept apart from them:
+ * - Prerenders return the keys their shell read (stored in its metadata
+ *   and the manifest), and collect the tags of those entries, so the
+ *   build knows which route shells a revalidation makes stale
+ * - At request time, the keys each path's holes read are indexed in
+ *   memory (the last MAX_INDEXED_PATHS paths - see evictPathEntries())
+ *
+ * CACHE LIFE:
+ * -----------
+ * Entries remember when they were created. With a `cacheLife` option
+ * (a profile name like 'minutes', or explicit seconds) they age out:
+ * - Past `revalidate`: still served, but refreshed in the background
+ * - Past `expire`:     never served - recomputed before returning
+ * Without one, entries live until they're revalidated by tag or path.
+ *
+ * WHERE ENTRIES LIVE:
+ * -------------------
+ * In a cache handler (see cache-handlers/) - dist/cache/ by default, or
+ * an LRU in memory, or Redis shared by several servers. Every handler
+ * call is async, so a cache read counts as pending on the cache signal
+ * from the moment the lookup starts.
+ *
+ * Values are stored as Flight payloads (see flight.js) and decoded on
+ * every read, so each caller gets its own copy - like Next.js, which
+ * stores 'use cache' results as RSC payloads.
+ *
+ * NAMES:
+ * ------
+ * Every cached function needs an ID for its cache keys: a hand-written
+ * name (cached('products', fn)), or one derived from the module that
+ * defines it (cached(fn) - see cache-ids.js).
+ *
+ * PRIVATE SCOPE:
+ * --------------
+ * Shared entries are served to everyone, so they must not depend on who
+ * is asking. cached(name, fn, { scope: 'private', identity }) is for data
+ * that does (like 'use cache: private' in Next.js):
+ * - Keys include `identity()` - e.g. the session cookie - so every user
+ *   gets their own entries
+ * - Entries live in a separate, size-bounded LRU in this process, never
+ *   in the shared cache handler
+ * - During prerender the call postpones: per-user data can't be in a
+ *   shell, so it becomes part of a dynamic hole and is cached there
  */
 
-import { writeFileSync, readFileSync, existsSync } from 'node:fs';
+import React from 'react';
+import { renderStorage } from './async-storage.js';
+import { createCacheHandlerFromEnv, createMemoryCacheHandler } from './cache-handlers/index.js';
+import { encodeFlight, decodeFlight } from './flight.js';
+import { deriveCacheId, registerCacheId, saltedCacheId } from './cache-ids.js';
+import { hashCacheArguments, encodeCacheArguments } from './cache-keys.js';
+import { postpone } from './dynamic-apis.js';
+import { memo } from './memo.js';
+import { recordCacheHit, recordCacheMiss, recordCacheFill } from './cache-metrics.js';
+
+// The cache handler (like Next.js's cacheHandlers) - created on first use
+// Entries: key → { value, tags, createdAt, cacheLife }
+let cacheHandlerPromise = null;
 
-// The in-memory cache store (like Next.js's prerenderResumeDataCache)
-const cacheStore = new Map();
+// Private entries (scope: 'private') - created on first use
+let privateCacheHandler = null;
+const DEFAULT_PRIVATE_MAX_BYTES = 10 * 1024 * 1024;
 
-// Cache file path
-const CACHE_FILE = './dist/cache.json';
+// Private cache keys start with this (see cached())
+const PRIVATE_KEY_PREFIX = 'private:';
 
-// Track the current phase
-let currentPhase = 'none'; // 'prospective' | 'final' | 'none'
+// Request path → cache keys its render read, oldest path first
+const pathIndex = new Map();
+const MAX_INDEXED_PATHS = 1000;
 
 /**
- * Set the current render phase
+ * The phase of the current render - kept on the prerender store, so
+ * concurrent prerenders can be in different phases
  * - 'prospective': Cache filling phase (execute and store)
  * - 'final': Cache reading phase (read only, must hit)
+ * - 'none': Not prerendering (request time, background refreshes)
  */
-export function setRenderPhase(phase) {
-  currentPhase = phase;
-  console.log(`   📍 Render phase: ${phase}`);
-}
-
 export function getRenderPhase() {
-  return currentPhase;
+  const store = renderStorage.getStore();
+  return store?.type === 'prerender' ? store.phase : 'none';
 }
 
 /**
  * Check if we're in the prospective (cache-filling) phase
  */
 export function isProspectiveRender() {
-  return currentPhase === 'prospective';
+  return getRenderPhase() === 'prospective';
 }
 
 /**
  * Check if we're in the final (cache-reading) phase
  */
 export function isFinalRender() {
-  return currentPhase === 'final';
+  return getRenderPhase() === 'final';
 }
 
 /**
- * Load cache from disk
+ * Get the cache handler (picked by PPR_CACHE_HANDLER unless one was set)
  */
-export function loadCache() {
-  if (existsSync(CACHE_FILE)) {
-    try {
-      const data = JSON.parse(readFileSync(CACHE_FILE, 'utf-8'));
-      for (const [key, value] of Object.entries(data)) {
-        cacheStore.set(key, value);
-      }
-      console.log(`   📦 Loaded ${cacheStore.size} cached entries from disk`);
-    } catch (e) {
-      console.log('   ⚠️  Could not load cache:', e.message);
-    }
+export function getCacheHandler() {
+  if (!cacheHandlerPromise) {
+    cacheHandlerPromise = createCacheHandlerFromEnv().then(handler => {
+      console.log(`   📦 Cache handler: ${handler.name}`);
+      return handler;
+    });
   }
+  return cacheHandlerPromise;
 }
 
 /**
- * Save cache to disk
+ * Use your own cache handler (see cache-handlers/index.js for the interface)
+ *
+ * Call it before anything reads the cache.
  */
-export function saveCache() {
-  const data = Object.fromEntries(cacheStore.entries());
-  writeFileSync(CACHE_FILE, JSON.stringify(data, null, 2), 'utf-8');
-  console.log(`   💾 Saved ${cacheStore.size} cached entries to disk`);
+export function setCacheHandler(handler) {
+  cacheHandlerPromise = Promise.resolve(handler);
+}
+
+/**
+ * The store for private entries: an LRU bounded by
+ * PPR_PRIVATE_CACHE_MAX_BYTES (default 10 MB)
+ *
+ * Always in memory - whatever PPR_CACHE_HANDLER says, per-user data never
+ * goes to disk or to a shared Redis.
+ */
+function getPrivateCacheHandler() {
+  if (!privateCacheHandler) {
+    const maxBytes = Number(process.env.PPR_PRIVATE_CACHE_MAX_BYTES);
+    privateCacheHandler = createMemoryCacheHandler({
+      maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_PRIVATE_MAX_BYTES,
+    });
+  }
+  return privateCacheHandler;
+}
+
+/**
+ * Release the handler's connections (lets the build process exit)
+ */
+export async function closeCacheHandler() {
+  if (cacheHandlerPromise) {
+    const handler = await cacheHandlerPromise;
+    await handler.close?.();
+    cacheHandlerPromise = null;
+  }
 }
 
 /**
  * Clear the cache
+ *
+ * A shared handler (Redis) is left alone - running servers still use its
+ * entries, and the new build doesn't see them anyway (see redis.js).
  */
-export function clearCache() {
-  cacheStore.clear();
+export async function clearCache() {
+  const handler = await getCacheHandler();
+  if (handler.shared) {
+    console.log(`   🗂️  ${handler.name} is shared - not cleared (keys are namespaced by build ID)`);
+    return;
+  }
+  for (const key of await handler.keys()) {
+    await handler.delete(key);
+  }
   console.log('   🗑️  Cache cleared');
 }
 
 /**
- * Generate a cache key from function name and arguments
+ * Is the current render a draft-mode request?
+ *
+ * Draft requests must see unpublished content, so cached functions skip
+ * the cache store entirely - no reads (stale published data) and no writes
+ * (draft data must never leak into the shared cache).
  */
-function generateCacheKey(name, args) {
-  const argsKey = JSON.stringify(args);
-  return `${name}:${argsKey}`;
+function isDraftModeRender() {
+  return renderStorage.getStore()?.isDraftMode === true;
 }
 
 /**
- * Signal for tracking pending cache reads (like Next.js's CacheSignal)
+ * The implicit tag of a page's shell
  *
- * Next.js's CacheSignal works by:
- * 1. Starting a render
- * 2. As 'use cache' functions are called, beginRead() is called
- * 3. When they complete, endRead() is called
- * 4. cacheReady() waits until all reads that STARTED have completed
+ * Every shell carries its own path tag, so revalidatePath('/about') can
+ * mark it stale (the entries it used are evicted by evictPathEntries()).
+ */
+export function getPathTag(path) {
+  return `path:${path}`;
+}
+
+/**
+ * Resolve the `tags` option for one call
  *
- * The tricky part: we need to wait for the render to START encountering
- * cached functions before we can know if there are any to wait for.
+ * @param {string} name - The cached function, for error messages
+ * @param {string[]|Function} [tags] - A list, or a function of the args
+ * @param {Array} args - The arguments of this call
  */
-let pendingCacheReads = 0;
-let cacheReadyResolvers = [];
-let hasStartedReading = false;
-let startReadingResolver = null;
+function resolveTags(name, tags = [], args) {
+  const resolved = typeof tags === 'function' ? tags(...args) : tags;
+  if (!Array.isArray(resolved) || resolved.some(tag => typeof tag !== 'string' || tag === '')) {
+    throw new Error(`The tags for cached function "${name}" must be an array of non-empty strings`);
+  }
+  return resolved;
+}
 
-export function beginCacheRead() {
-  pendingCacheReads++;
-  hasStartedReading = true;
-  // If someone was waiting to know if any reads started, notify them
-  if (startReadingResolver) {
-    startReadingResolver();
-    startReadingResolver = null;
+/**
+ * Note that the current render used a cache entry
+ *
+ * The entry itself isn't touched. When prerendering, its tags and
+ * cacheLife go into the page's metadata (the store keeps the key - see
+ * recordPrerenderRead()); at request time, the key is indexed under the
+ * request path.
+ */
+function recordCacheUse(cacheKey, entry) {
+  const store = renderStorage.getStore();
+
+  if (store?.type === 'prerender') {
+    for (const tag of entry.tags) {
+      store.cacheTags.add(tag);
+    }
+
+    // The shell is only as fresh as the oldest data in it
+    store.revalidateAt = Math.min(store.revalidateAt, entryDeadline(entry, 'revalidate'));
+    store.expireAt = Math.min(store.expireAt, entryDeadline(entry, 'expire'));
+  } else if (store?.type === 'request' && store.request?.path) {
+    indexPathEntry(store.request.path, cacheKey);
+  }
+}
+
+/**
+ * Remember that a path's render read a cache key
+ *
+ * Bounded: past MAX_INDEXED_PATHS the least recently indexed path is
+ * forgotten - revalidatePath() then only evicts what its shell used.
+ */
+function indexPathEntry(path, cacheKey) {
+  let keys = pathIndex.get(path);
+  if (keys) {
+    // Most recent last
+    pathIndex.delete(path);
+  } else {
+    keys = new Set();
+    if (pathIndex.size >= MAX_INDEXED_PATHS) {
+      pathIndex.delete(pathIndex.keys().next().value);
+    }
   }
+  keys.add(cacheKey);
+  pathIndex.set(path, keys);
 }
 
-export function endCacheRead() {
-  pendingCacheReads--;
-  if (pendingCacheReads === 0 && hasStartedReading) {
-    // Count reached 0 - but wait one event loop cycle before resolving
-    // (React might schedule more work that triggers more cache reads)
-    noMorePendingCaches();
+/**
+ * Evict every entry a page used
+ *
+ * @param {string} path - A concrete page path
+ * @param {string[]} [shellKeys] - The keys its prerendered shell read
+ *   (from the manifest)
+ * @returns {Promise<string[]>} The evicted cache keys
+ */
+export async function evictPathEntries(path, shellKeys = []) {
+  const keys = new Set([...shellKeys, ...(pathIndex.get(path) ?? [])]);
+  pathIndex.delete(path);
+
+  const handler = await getCacheHandler();
+  for (const key of keys) {
+    if (key.startsWith(PRIVATE_KEY_PREFIX)) {
+      await privateCacheHandler?.delete(key);
+    } else {
+      await handler.delete(key);
+    }
   }
+  return [...keys];
 }
 
 /**
- * Schedule a callback after "one trip around the event loop"
- * This matches Next.js's approach: setImmediate → setTimeout(0)
+ * Store a new entry
+ *
+ * @param {object} handler - The shared or the private handler
  */
-function scheduleAfterEventLoop(cb) {
-  setImmediate(() => {
-    setTimeout(cb, 0);
-  });
+async function writeEntry(handler, cacheKey, entry) {
+  recordCacheUse(cacheKey, entry);
+  await handler.set(cacheKey, entry);
 }
 
 /**
- * Wait for all cache reads to complete (like cacheSignal.cacheReady())
+ * Evict every entry carrying any of the given tags
  *
- * Next.js's approach:
- * - If there are pending reads, wait for them to complete
- * - If count is 0, wait "one task" to allow initial cache reads to start
- * - Uses event loop scheduling, NOT fixed timeouts
+ * @param {string[]} tags
+ * @returns {Promise<string[]>} The evicted cache keys
  */
-export function cacheReady() {
-  return new Promise(resolve => {
-    cacheReadyResolvers.push(resolve);
+export async function evictTaggedEntries(tags) {
+  const evicted = await (await getCacheHandler()).revalidateTags(tags);
+  if (privateCacheHandler) {
+    evicted.push(...await privateCacheHandler.revalidateTags(tags));
+  }
+  return evicted;
+}
+
+/**
+ * Named cacheLife profiles (seconds, same names as Next.js)
+ *
+ * - stale:      how long a browser may reuse the result without asking
+ *               (recorded on the entry, not enforced by the server)
+ * - revalidate: after this, serve the entry but refresh it in the background
+ * - expire:     after this, don't serve the entry at all
+ */
+export const cacheLifeProfiles = {
+  seconds: { stale: 0, revalidate: 1, expire: 60 },
+  minutes: { stale: 60, revalidate: 60, expire: 60 * 60 },
+  hours: { stale: 5 * 60, revalidate: 60 * 60, expire: 24 * 60 * 60 },
+  days: { stale: 5 * 60, revalidate: 24 * 60 * 60, expire: 7 * 24 * 60 * 60 },
+};
+
+/**
+ * Check the `scope` option
+ *
+ * @returns {boolean} Is it private?
+ */
+function resolveScope(name, scope, identity) {
+  if (scope !== 'shared' && scope !== 'private') {
+    throw new Error(`Unknown scope "${scope}" for cached function "${name}". Use 'shared' or 'private'.`);
+  }
+  if (scope === 'private' && typeof identity !== 'function') {
+    throw new Error(
+      `Private cached function "${name}" needs an identity() option - ` +
+      'a function returning who is asking, e.g. the session cookie'
+    );
+  }
+  return scope === 'private';
+}
+
+/**
+ * Resolve the `cacheLife` option to { stale, revalidate, expire }
+ *
+ * Missing values (null) mean "never". No option at all returns null.
+ *
+ * @param {string} name - The cached function, for error messages
+ * @param {string|object} [cacheLife] - A profile name or explicit seconds
+ */
+function resolveCacheLife(name, cacheLife) {
+  if (cacheLife === undefined || cacheLife === null) {
+    return null;
+  }
+
+  if (typeof cacheLife === 'string') {
+    const profile = cacheLifeProfiles[cacheLife];
+    if (!profile) {
+      throw new Error(
+        `Unknown cacheLife profile "${cacheLife}" for cached function "${name}". ` +
+        `Use one of: ${Object.keys(cacheLifeProfiles).join(', ')}`
+      );
+    }
+    return { ...profile };
+  }
 
-    if (pendingCacheReads === 0) {
-      // No pending reads yet - wait one trip around the event loop
-      // to give React a chance to start rendering and hit cached functions
-      noMorePendingCaches();
+  const { stale = null, revalidate = null, expire = null } = cacheLife;
+  for (const [key, value] of Object.entries({ stale, revalidate, expire })) {
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`cacheLife.${key} for cached function "${name}" must be a number of seconds`);
     }
-  });
+  }
+  if (revalidate !== null && expire !== null && expire < revalidate) {
+    throw new Error(`cacheLife.expire for cached function "${name}" can't be shorter than cacheLife.revalidate`);
+  }
+  return { stale, revalidate, expire };
+}
+
+/**
+ * When an entry passes one of its cacheLife limits (ms, Infinity = never)
+ *
+ * @param {object} entry
+ * @param {'revalidate'|'expire'} limit
+ */
+function entryDeadline(entry, limit) {
+  const seconds = entry.cacheLife?.[limit] ?? null;
+  return seconds === null ? Infinity : entry.createdAt + seconds * 1000;
+}
+
+// Cache keys with a background refresh in flight
+const refreshingKeys = new Set();
+
+/**
+ * Recompute a stale entry without making anyone wait for it
+ */
+function refreshInBackground(handler, cacheKey, entry, name, recompute) {
+  if (refreshingKeys.has(cacheKey)) {
+    return;
+  }
+  refreshingKeys.add(cacheKey);
+  console.log(`   ♻️  Cache STALE: ${name} - serving it, refreshing in the background`);
+
+  // The refresh belongs to no request - run it outside the render context
+  renderStorage.exit(recompute)
+    .then(async value => {
+      // Revalidated by tag (or refreshed elsewhere) while we were busy?
+      // Then leave it alone
+      const current = await handler.get(cacheKey);
+      if (current?.createdAt === entry.createdAt) {
+        await handler.set(cacheKey, { ...current, value, createdAt: Date.now() });
+        console.log(`   ✅ Refreshed: ${name}`);
+      }
+    })
+    .catch(error => {
+      console.error(`   ❌ Background refresh of ${name} failed:`, error.message);
+    })
+    .finally(() => refreshingKeys.delete(cacheKey));
 }
 
 /**
- * Called when count reaches 0 - schedule check after event loop
- * This mirrors Next.js's noMorePendingCaches()
+ * Look up an entry, honoring its cacheLife (null = treat as a miss)
+ *
+ * Prospective prerenders recompute entries past `revalidate` instead of
+ * refreshing them later, so a new shell is built from fresh data.
+ *
+ * @param {object} handler - The shared or the private handler
+ * @param {string} cacheKey
+ * @param {string} name - The cached function, for logging
+ * @param {Function|null} recompute - Produces a fresh value for a
+ *   background refresh; null recomputes stale entries right away
  */
-function noMorePendingCaches() {
-  scheduleAfterEventLoop(() => {
-    if (pendingCacheReads === 0) {
-      // Still 0 after event loop - all caches are ready
-      cacheReadyResolvers.forEach(resolve => resolve());
-      cacheReadyResolvers = [];
+async function readEntry(handler, cacheKey, name, recompute) {
+  const entry = await handler.get(cacheKey);
+  if (!entry) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (now >= entryDeadline(entry, 'expire')) {
+    console.log(`   ⌛ Cache EXPIRED: ${name}`);
+    await handler.delete(cacheKey);
+    return null;
+  }
+
+  if (now >= entryDeadline(entry, 'revalidate')) {
+    if (isProspectiveRender() || !recompute) {
+      return null;
     }
-    // If count > 0, a new read started - wait for it
-  });
+    if (!isFinalRender()) {
+      refreshInBackground(handler, cacheKey, entry, name, recompute);
+    }
+  }
+
+  recordCacheUse(cacheKey, entry);
+  return entry;
 }
 
 /**
- * Reset the cache signal state (call between renders)
+ * Encode a result for the cache, naming the cached function on failure
+ *
+ * @param {string} name - The cached function
+ * @param {*} value - What it returned
+ * @returns {Promise<string>} A Flight payload
  */
-export function resetCacheSignal() {
-  pendingCacheReads = 0;
-  cacheReadyResolvers = [];
-  hasStartedReading = false;
-  startReadingResolver = null;
+async function encodeCacheValue(name, value) {
+  try {
+    return await encodeFlight(value);
+  } catch (error) {
+    throw new Error(`Can't cache the result of "${name}": ${error.message}`);
+  }
 }
 
 /**
- * Check if there are pending cache reads
+ * Sort out the two ways to create a cached function
+ *
+ *   cached('products', fn, options)  - a hand-written name
+ *   cached(fn, options)              - an ID derived from fn's module and
+ *                                      name, salted with the build ID
+ *                                      (see cache-ids.js)
+ *
+ * @param {'function'|'component'} kind
+ * @param {Array} args - The arguments cached()/cachedComponent() got
+ * @param {Function} calledFunction - cached or cachedComponent
+ * @returns {{ name, fn, options, keyPrefix }} name is for logs and errors;
+ *   keyPrefix() starts every cache key (called late - the build sets the
+ *   build ID after modules are loaded)
  */
-export function hasPendingCacheReads() {
-  return pendingCacheReads > 0;
+function defineCachedFunction(kind, args, calledFunction) {
+  if (typeof args[0] === 'function') {
+    const [fn, options = {}] = args;
+    const name = deriveCacheId(fn, options, calledFunction);
+    registerCacheId(kind, name, fn);
+    return { name, fn, options, keyPrefix: () => saltedCacheId(name) };
+  }
+
+  const [name, fn, options = {}] = args;
+  if (typeof name !== 'string' || name === '' || typeof fn !== 'function') {
+    throw new Error(`Call ${calledFunction.name}() with (name, fn, options) or (fn, options)`);
+  }
+  registerCacheId(kind, name, fn);
+  return { name, fn, options, keyPrefix: () => name };
+}
+
+/**
+ * Generate a cache key from the function's key prefix and arguments
+ *
+ * @param {string} name - The cached function, for error messages
+ * @param {string} prefix - From defineCachedFunction()
+ * @param {Array} args
+ */
+function generateCacheKey(name, prefix, args) {
+  return `${prefix}:${hashCacheArguments(name, args)}`;
+}
+
+/**
+ * Report a cache read to the current prerender's CacheSignal (see
+ * cache-signal.js), so cacheReady() waits for it. Outside a prerender
+ * there's nothing waiting, so these do nothing.
+ */
+export function beginCacheRead() {
+  renderStorage.getStore()?.cacheSignal?.beginRead();
+}
+
+export function endCacheRead(cacheKey) {
+  renderStorage.getStore()?.cacheSignal?.endRead(cacheKey);
+}
+
+/**
+ * Remember what a prerender's cache lookup was made of, so a final-render
+ * miss can be compared with what the prospective render filled
+ *
+ * @param {string} label - 'args' or 'props', like hashCacheArguments()
+ */
+function recordPrerenderRead(cacheKey, name, args, label) {
+  const store = renderStorage.getStore();
+  if (store?.type === 'prerender') {
+    store.cacheReads.set(cacheKey, { name, args: encodeCacheArguments(name, args, label) });
+  }
+}
+
+/**
+ * Where a cached call came from, for final-render miss diagnostics
+ *
+ * React's owner stack is only available while the calling component is
+ * rendering - call this before the first await. Falls back to the
+ * JavaScript stack (production builds of React have no owner stacks).
+ */
+function captureCallerStack() {
+  if (!isFinalRender()) {
+    return null;
+  }
+  return React.captureOwnerStack?.() ?? new Error().stack.split('\n').slice(2).join('\n');
+}
+
+/**
+ * The final render missed the cache: whatever the function computes now
+ * was never prerendered in the prospective render
+ *
+ * Logged, and recorded on the store - a strict build fails on it (see
+ * build.js).
+ */
+function recordFinalRenderMiss(cacheKey, name, callerStack) {
+  console.log(`   ⚠️  Cache MISS in final render: ${name} - this is unexpected!`);
+  renderStorage.getStore().cacheMisses.push({ name, key: cacheKey, callerStack });
 }
 
 /**
@@ -211,45 +588,120 @@ export function hasPendingCacheReads() {
  * - Prospective: Execute function, store result, track with cacheSignal
  * - Final: Return from cache (must hit)
  * - None/Server: Execute and cache (for request-time)
+ * - Draft mode: Execute, never read or write the cache
+ * - Private scope: Postpone during prerender; at request time, cache per
+ *   identity in the private store
  *
- * @param {string} name - Unique name for this cached function
+ * @param {string} [name] - Unique name for this cached function - leave it
+ *   out to derive one from fn's module and name (see cache-ids.js)
  * @param {Function} fn - The async function to cache
+ * @param {object} [options]
+ * @param {string[]|Function} [options.tags] - Tags for revalidateTag(), or
+ *   a function returning them from the call's arguments
+ * @param {string|object} [options.cacheLife] - A profile from
+ *   cacheLifeProfiles, or { stale, revalidate, expire } in seconds
+ * @param {string} [options.moduleUrl] - Without a name: import.meta.url
+ *   (found on the call stack by default)
+ * @param {string} [options.exportName] - Without a name: defaults to fn.name
+ * @param {'shared'|'private'} [options.scope] - 'private' caches per user
+ * @param {Function} [options.identity] - Private scope: returns who is
+ *   asking (e.g. a session cookie, via cookies()); null/undefined = don't
+ *   cache this call
  * @returns {Function} - A wrapped function that uses the cache
  */
-export function cached(name, fn) {
+export function cached(...definition) {
+  const {
+    name,
+    fn,
+    options: { tags, cacheLife, scope = 'shared', identity },
+    keyPrefix,
+  } = defineCachedFunction('function', definition, cached);
+
+  // Resolve now, so a typo fails when the module loads
+  const life = resolveCacheLife(name, cacheLife);
+  const isPrivate = resolveScope(name, scope, identity);
+  const metricsScope = isPrivate ? 'private' : 'shared';
+
+  // Without an identity nothing is kept across requests - but within one
+  // the result is shared, so the resumed HTML and the hydration payload
+  // (see hydration.js) agree
+  const perRequest = isPrivate ? memo(fn) : null;
+
   return async function cachedFunction(...args) {
-    const cacheKey = generateCacheKey(name, args);
+    const callerStack = captureCallerStack();
 
-    // Check if we have a cached result
-    if (cacheStore.has(cacheKey)) {
-      console.log(`   ⚡ Cache HIT: ${name}`);
-      return cacheStore.get(cacheKey);
+    if (isDraftModeRender()) {
+      console.log(`   📝 Draft mode: bypassing cache for ${name}`);
+      return fn(...args);
     }
 
-    // Cache miss
-    if (isFinalRender()) {
-      // In final render, cache should have been filled during prospective render
-      // This shouldn't happen if prospective render worked correctly
-      console.log(`   ⚠️  Cache MISS in final render: ${name} - this is unexpected!`);
-    }
+    let handler;
+    let cacheKey = generateCacheKey(name, keyPrefix(), args);
+
+    if (isPrivate) {
+      if (renderStorage.getStore()?.type === 'prerender') {
+        // Per-user data can't go in a shell everyone gets - leave a hole
+        postpone(`cached("${name}", { scope: 'private' })`);
+      }
 
-    // Execute the function (prospective render or first access)
-    console.log(`   🔄 Cache MISS: ${name} - executing...`);
+      const who = await identity();
+      if (who === null || who === undefined) {
+        console.log(`   👤 No identity for private ${name} - not caching`);
+        return perRequest(...args);
+      }
+      handler = getPrivateCacheHandler();
+      cacheKey = `${PRIVATE_KEY_PREFIX}${hashCacheArguments(name, who, 'identity')}:${cacheKey}`;
+    } else {
+      handler = await getCacheHandler();
+    }
 
-    // Track this as a pending cache read (like cacheSignal.beginRead())
+    // Track this as a pending cache read (like cacheSignal.beginRead()) -
+    // the handler lookup is async too, so start before it
     beginCacheRead();
+    recordPrerenderRead(cacheKey, name, args, 'args');
 
     try {
-      const result = await fn(...args);
+      // Check if we have a cached result
+      // (Private entries aren't refreshed in the background - the refresh
+      // would run outside the request, without its cookies)
+      const recompute = isPrivate ? null : async () => encodeCacheValue(name, await fn(...args));
+      const hit = await readEntry(handler, cacheKey, name, recompute);
+      if (hit) {
+        console.log(`   ⚡ Cache HIT: ${name}${isPrivate ? ' (private)' : ''}`);
+        recordCacheHit(cacheKey, name, metricsScope, hit);
+        return decodeFlight(hit.value);
+      }
+      recordCacheMiss(cacheKey, name, metricsScope);
+
+      // Cache miss
+      if (isFinalRender()) {
+        // In final render, cache should have been filled during prospective render
+        // This shouldn't happen if prospective render worked correctly
+        recordFinalRenderMiss(cacheKey, name, callerStack);
+      }
+
+      // Execute the function (prospective render or first access)
+      console.log(`   🔄 Cache MISS: ${name} - executing...`);
+
+      const fillStart = performance.now();
+      const value = await encodeCacheValue(name, await fn(...args));
+      const entry = {
+        value,
+        tags: resolveTags(name, tags, args),
+        createdAt: Date.now(),
+        cacheLife: life,
+      };
 
       // Store in cache
-      cacheStore.set(cacheKey, result);
+      await writeEntry(handler, cacheKey, entry);
+      recordCacheFill(cacheKey, name, metricsScope, entry, performance.now() - fillStart);
       console.log(`   ✅ Cached: ${name}`);
 
-      return result;
+      // Decoded like a hit, so the caller can't tell the difference
+      return decodeFlight(value);
     } finally {
       // Mark cache read as complete (like cacheSignal.endRead())
-      endCacheRead();
+      endCacheRead(cacheKey);
     }
   };
 }
@@ -257,12 +709,13 @@ export function cached(name, fn) {
 /**
  * Get cache statistics
  */
-export function getCacheStats() {
+export async function getCacheStats() {
+  const keys = await (await getCacheHandler()).keys();
   return {
-    size: cacheStore.size,
-    entries: Array.from(cacheStore.keys()),
-    phase: currentPhase,
-    pendingReads: pendingCacheReads,
+    size: keys.length,
+    entries: keys,
+    phase: getRenderPhase(),
+    pendingReads: renderStorage.getStore()?.cacheSignal?.pendingReads ?? 0,
   };
 }
 
@@ -271,13 +724,14 @@ export function getCacheStats() {
 // =============================================================================
 //
 // Next.js can cache entire components using RSC serialization (Flight protocol).
-// For our demo, we'll use a simpler approach: cache the React element directly.
+// We do the same with a simplified Flight format (see flight.js):
 //
-// NOTE: This works because React elements are plain JavaScript objects:
-//   { type: 'div', props: { children: 'Hello' }, ... }
+// - Server components inside the output are rendered while encoding
+// - Client components are stored as references (see client-references.js)
+// - Suspense boundaries, dates, Maps, Sets, BigInts and promises survive
 //
-// In production, Next.js uses renderToReadableStream() to properly serialize
-// React elements, handle client components, promises, etc.
+// On a hit the payload is decoded back into React elements, so nothing
+// is re-rendered except the client components.
 // =============================================================================
 
 /**
@@ -285,6 +739,7 @@ export function getCacheStats() {
  *
  * Usage:
  *   const CachedComponent = cachedComponent('my-component', MyComponent);
+ *   const CachedComponent = cachedComponent(MyComponent);  // derived ID
  *
  * This is similar to:
  *   async function MyComponent() {
@@ -292,38 +747,77 @@ export function getCacheStats() {
  *     ...
  *   }
  *
- * @param {string} name - Unique name for this cached component
+ * @param {string} [name] - Unique name for this cached component - leave
+ *   it out to derive one, like cached()
  * @param {Function} Component - The async component function
+ * @param {object} [options]
+ * @param {string[]|Function} [options.tags] - Tags for revalidateTag(), or
+ *   a function returning them from the props
+ * @param {string|object} [options.cacheLife] - A profile from
+ *   cacheLifeProfiles, or { stale, revalidate, expire } in seconds
+ * @param {string} [options.moduleUrl] - See cached()
+ * @param {string} [options.exportName] - See cached()
  * @returns {Function} - A wrapped component that caches its output
  */
-export function cachedComponent(name, Component) {
+export function cachedComponent(...definition) {
+  const {
+    name,
+    fn: Component,
+    options: { tags, cacheLife },
+    keyPrefix,
+  } = defineCachedFunction('component', definition, cachedComponent);
+  const life = resolveCacheLife(name, cacheLife);
+
   return async function CachedComponentWrapper(props) {
-    // Generate cache key from component name + props
-    const cacheKey = `component:${name}:${JSON.stringify(props)}`;
+    const callerStack = captureCallerStack();
 
-    // Check cache
-    if (cacheStore.has(cacheKey)) {
-      console.log(`   ⚡ Component Cache HIT: ${name}`);
-      return cacheStore.get(cacheKey);  // Return cached React elements!
+    if (isDraftModeRender()) {
+      console.log(`   📝 Draft mode: bypassing component cache for ${name}`);
+      return Component(props);
     }
 
-    console.log(`   🔄 Component Cache MISS: ${name} - rendering...`);
+    // Generate cache key from component name + props
+    const cacheKey = `component:${keyPrefix()}:${hashCacheArguments(name, props, 'props')}`;
 
-    // Track as pending cache read
+    // Track as pending cache read (the handler lookup included)
     beginCacheRead();
+    recordPrerenderRead(cacheKey, name, props, 'props');
 
     try {
+      // Check cache
+      const handler = await getCacheHandler();
+      const hit = await readEntry(handler, cacheKey, name, async () => encodeCacheValue(name, await Component(props)));
+      if (hit) {
+        console.log(`   ⚡ Component Cache HIT: ${name}`);
+        recordCacheHit(cacheKey, name, 'shared', hit);
+        return decodeFlight(hit.value);  // Return cached React elements!
+      }
+      recordCacheMiss(cacheKey, name, 'shared');
+      if (isFinalRender()) {
+        recordFinalRenderMiss(cacheKey, name, callerStack);
+      }
+
+      console.log(`   🔄 Component Cache MISS: ${name} - rendering...`);
+
       // Render the component (this is where async work happens)
+      const fillStart = performance.now();
       const result = await Component(props);
 
-      // Cache the React element tree
-      // (In Next.js, this would be serialized with Flight protocol)
-      cacheStore.set(cacheKey, result);
+      // Cache the React element tree as a Flight payload
+      const value = await encodeCacheValue(name, result);
+      const entry = {
+        value,
+        tags: resolveTags(name, tags, [props]),
+        createdAt: Date.now(),
+        cacheLife: life,
+      };
+      await writeEntry(handler, cacheKey, entry);
+      recordCacheFill(cacheKey, name, 'shared', entry, performance.now() - fillStart);
       console.log(`   ✅ Component Cached: ${name}`);
 
-      return result;
+      return decodeFlight(value);
     } finally {
-      endCacheRead();
+      endCacheRead(cacheKey);
     }
   };
 }
@@ -0,0 +1,210 @@
+/**
+ * =============================================================================
+ * CLIENT BUNDLE - The JavaScript the Browser Hydrates With
+ * =============================================================================
+ *
+ * Browsers load ES modules, and our client code already is one: the
+ * hydration entry (client/entry.js) and the modules it shares with the
+ * server (flight.js, ...) are served as they are, from
+ * /__ppr/client/src/.
+ *
+ * React isn't - react, react-dom/client and scheduler ship as CommonJS.
+ * Instead of pulling in a bundler, we do the one thing we need ourselves:
+ *
+ *   1. Wrap each CommonJS file in a function and give them a tiny
+ *      require(), all in ONE module (react-runtime.js) - so react-dom and
+ *      our code share the same React instance
+ *   2. Re-export them from small ES module facades (react.js, ...), with
+ *      the named exports read from the same build on the server
+ *   3. Point the bare specifiers at the facades with an import map, which
+ *      React writes into every page's <head> (the `importMap` render
+ *      option):
+ *
+ *        import React from 'react'             → /__ppr/client/react.js
+ *        import { hydrateRoot } from 'react-dom/client'
+ *                                              → /__ppr/client/react-dom-client.js
+ *
+ * The browser gets the same React build as the server (development unless
+ * NODE_ENV=production). Everything is built in memory the first time it's
+ * requested.
+ *
+ * CLIENT COMPONENTS:
+ * ------------------
+ * 'use client' modules and what they import are served the same way,
+ * as listed in the client reference manifest (see client-manifest.js).
+ * Each page also gets <link rel="modulepreload"> hints for the entry and
+ * the client modules its route uses - and only those - so the browser
+ * fetches them while the HTML is still streaming instead of after
+ * hydration starts. React writes the hints into <head> right after the
+ * import map, which has to come first: the modules import 'react'.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import React from 'react';
+import { preloadModule } from 'react-dom';
+import { getClientModuleChunks, getRouteClientChunks } from './client-manifest.js';
+
+const require = createRequire(import.meta.url);
+const SRC_DIR = dirname(fileURLToPath(import.meta.url));
+
+const MODE = process.env.NODE_ENV === 'production' ? 'production' : 'development';
+
+export const CLIENT_BASE_URL = '/__ppr/client';
+export const CLIENT_ENTRY_URL = `${CLIENT_BASE_URL}/src/client/entry.js`;
+
+// The CommonJS files in react-runtime.js, by the name they require() each
+// other with: [package, file in the package]
+const RUNTIME_MODULES = {
+  react: ['react', `cjs/react.${MODE}.js`],
+  'react-dom': ['react-dom', `cjs/react-dom.${MODE}.js`],
+  'react-dom/client': ['react-dom', `cjs/react-dom-client.${MODE}.js`],
+  scheduler: ['scheduler', `cjs/scheduler.${MODE}.js`],
+};
+
+// Bare specifiers the browser can import → their facade
+const FACADES = {
+  react: 'react.js',
+  'react-dom/client': 'react-dom-client.js',
+};
+
+// Our own modules the browser always loads (relative to src/) - client
+// components come from the manifest, everything else in src/ stays on
+// the server
+const CLIENT_MODULES = [
+  'client/entry.js',
+  'client/payload.js',
+  'client/router.js',
+  'flight.js',
+  'client-references.js',
+  'server-actions.js',
+];
+
+export const IMPORT_MAP = {
+  imports: Object.fromEntries(
+    Object.entries(FACADES).map(([specifier, file]) => [specifier, `${CLIENT_BASE_URL}/${file}`])
+  ),
+};
+
+/**
+ * The URL a module is served at
+ *
+ *   src/components/AddToCart.js → /__ppr/client/src/components/AddToCart.js
+ */
+function clientModuleUrl(moduleId) {
+  return `${CLIENT_BASE_URL}/${moduleId}`;
+}
+
+// file → source, built on first request
+const builtModules = new Map();
+
+/**
+ * Wrap React's CommonJS files into one ES module exporting require()
+ */
+function buildRuntime() {
+  const modules = Object.entries(RUNTIME_MODULES).map(([name, [packageName, file]]) => {
+    // The package's "exports" hide its cjs/ files from require.resolve()
+    const packageDir = dirname(require.resolve(`${packageName}/package.json`));
+    const source = readFileSync(join(packageDir, file), 'utf-8')
+      .replaceAll('process.env.NODE_ENV', JSON.stringify(MODE));
+    return `${JSON.stringify(name)}: function (module, exports, require) {\n${source}\n}`;
+  });
+
+  return `// React (${MODE}) for the browser - built by src/client-bundle.js
+const modules = {
+${modules.join(',\n')}
+};
+
+const instances = {};
+
+export function require(name) {
+  if (!(name in instances)) {
+    if (!(name in modules)) {
+      throw new Error(\`Cannot find module "\${name}" in the client bundle\`);
+    }
+    const module = { exports: {} };
+    instances[name] = module;
+    modules[name].call(module.exports, module, module.exports, require);
+  }
+  return instances[name].exports;
+}
+`;
+}
+
+/**
+ * An ES module re-exporting one of the runtime's CommonJS modules
+ */
+function buildFacade(specifier) {
+  const names = Object.keys(require(specifier))
+    .filter(name => name !== 'default' && /^[A-Za-z_$][\w$]*$/.test(name));
+
+  return `import { require } from './react-runtime.js';
+
+const module = require(${JSON.stringify(specifier)});
+
+export default module;
+export const { ${names.join(', ')} } = module;
+`;
+}
+
+/**
+ * The source of a client module, by its path under /__ppr/client/
+ *
+ * @param {string} file - e.g. 'react.js' or 'src/flight.js'
+ * @returns {string|null} null if the browser may not load it
+ */
+export function getClientModule(file) {
+  if (file.startsWith('src/')) {
+    const module = file.slice('src/'.length);
+    const isClientModule = CLIENT_MODULES.includes(module) || getClientModuleChunks().has(file);
+    return isClientModule ? readFileSync(join(SRC_DIR, module), 'utf-8') : null;
+  }
+
+  if (!builtModules.has(file)) {
+    if (file === 'react-runtime.js') {
+      builtModules.set(file, buildRuntime());
+    } else {
+      const specifier = Object.keys(FACADES).find(name => FACADES[name] === file);
+      if (!specifier) {
+        return null;
+      }
+      builtModules.set(file, buildFacade(specifier));
+    }
+    console.log(`📦 Built client module ${CLIENT_BASE_URL}/${file}`);
+  }
+  return builtModules.get(file);
+}
+
+/**
+ * Emits the route's modulepreload hints (and renders nothing)
+ */
+function ClientModulePreloads({ chunks }) {
+  preloadModule(CLIENT_ENTRY_URL);
+  for (const chunk of chunks) {
+    preloadModule(clientModuleUrl(chunk));
+  }
+  return null;
+}
+
+/**
+ * Render a route's element with the hints for the client modules it uses
+ *
+ * The hints are a sibling of the page, not a parent: no component of the
+ * app's has the framework's above it, so component stacks (see
+ * prerender.js) only ever show the app's.
+ *
+ * The build and the server both render this same tree, so the shell, the
+ * postponed state and the resume all see the same one.
+ *
+ * @param {object} route - From discoverRoutes()
+ * @param {object} element - The route's root element
+ */
+export function withClientModulePreloads(route, element) {
+  // Keyed: the hydration payload sends these two as a list
+  return React.createElement(React.Fragment, null, [
+    React.createElement(ClientModulePreloads, { key: 'preloads', chunks: getRouteClientChunks(route.path) }),
+    React.createElement(React.Fragment, { key: 'page' }, element),
+  ]);
+}
@@ -0,0 +1,216 @@
+/**
+ * =============================================================================
+ * CLIENT REFERENCE MANIFEST - Which Modules Run in the Browser
+ * =============================================================================
+ *
+ * A module that starts with the 'use client' directive is a CLIENT
+ * COMPONENT module, like in Next.js:
+ *
+ *   'use client';
+ *
+ *   export function AddToCart({ productId }) {
+ *     const [count, setCount] = useState(0);
+ *     ...
+ *   }
+ *
+ * Everything else is a server component: rendered on the server and sent
+ * to the browser as its output (see flight.js). A client component is
+ * rendered on the server too (for the HTML), but the Flight payload only
+ * carries a REFERENCE to it - the browser loads the module and renders it
+ * itself, so it can use state and event handlers.
+ *
+ * THE MODULE GRAPH:
+ * -----------------
+ * Next.js's bundler knows every module's imports. We don't have a bundler,
+ * so the build reads them itself: starting at each route module, it follows
+ * every relative `import ... from './x.js'` (bare specifiers like 'react'
+ * are packages, not our modules). A 'use client' module is a BOUNDARY -
+ * the walk records it for the route, and everything it imports is client
+ * code too (the browser has to load it).
+ *
+ * The result goes to dist/client-manifest.json:
+ *
+ *   {
+ *     "modules": {
+ *       "src/components/AddToCart.js": {
+ *         "exports": ["AddToCart"],
+ *         "chunks": ["src/components/AddToCart.js"]   ← itself + its imports
+ *       }
+ *     },
+ *     "routes": {
+ *       "/products/:id": ["src/components/AddToCart.js"]
+ *     }
+ *   }
+ *
+ * Without a compiler to rewrite client modules, their exports are marked
+ * as client references when the build or the server starts (see
+ * registerClientModules()) - the same function objects the routes import.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { registerClientReference } from './client-references.js';
+import { loadClientManifest } from './manifest.js';
+
+// Module IDs are relative to the project root (like cache IDs)
+const PROJECT_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// 'use client' as the first statement, after any comments
+const USE_CLIENT_DIRECTIVE = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*(['"])use client\1/;
+
+// Static imports and re-exports: import x from '...', import '...',
+// export { x } from '...'
+const STATIC_IMPORT = /^\s*(?:import|export)\s+(?:[\w*{}\s,$]+\s+from\s+)?(['"])([^'"]+)\1/gm;
+
+const EMPTY_MANIFEST = { modules: {}, routes: {} };
+
+let clientManifest = null;
+
+/**
+ * The module ID of a file: its path relative to the project root
+ *
+ *   /app/src/components/AddToCart.js → src/components/AddToCart.js
+ */
+function toModuleId(file) {
+  return relative(PROJECT_ROOT, file).split(sep).join('/');
+}
+
+/**
+ * Does the source start with 'use client'?
+ */
+function isClientModuleSource(source) {
+  return USE_CLIENT_DIRECTIVE.test(source);
+}
+
+/**
+ * Read a module and list the files it imports (relative imports only)
+ */
+function readModule(file) {
+  const source = readFileSync(file, 'utf-8');
+  const imports = [];
+  for (const [, , specifier] of source.matchAll(STATIC_IMPORT)) {
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      imports.push(resolve(dirname(file), specifier));
+    }
+  }
+  return { isClient: isClientModuleSource(source), imports };
+}
+
+/**
+ * Walk the module graph of every route and collect its client modules
+ *
+ * @param {Array} routes - From discoverRoutes()
+ * @returns {Promise<object>} The client reference manifest
+ */
+export async function createClientManifest(routes) {
+  const parsed = new Map();
+  function getModule(file) {
+    if (!parsed.has(file)) {
+      parsed.set(file, readModule(file));
+    }
+    return parsed.get(file);
+  }
+
+  // Everything a client module pulls into the browser, itself first
+  function collectChunks(file, chunks = new Set()) {
+    if (!chunks.has(file)) {
+      chunks.add(file);
+      getModule(file).imports.forEach(dependency => collectChunks(dependency, chunks));
+    }
+    return chunks;
+  }
+
+  const manifest = { modules: {}, routes: {} };
+
+  for (const route of routes) {
+    const boundaries = new Set();
+    const visited = new Set();
+
+    // Server modules are walked until they reach a 'use client' module
+    const walk = file => {
+      if (visited.has(file)) {
+        return;
+      }
+      visited.add(file);
+      const module = getModule(file);
+      if (module.isClient) {
+        boundaries.add(file);
+      } else {
+        module.imports.forEach(walk);
+      }
+    };
+    walk(resolve(PROJECT_ROOT, route.file));
+
+    manifest.routes[route.path] = [...boundaries].map(toModuleId).sort();
+
+    for (const file of boundaries) {
+      const moduleId = toModuleId(file);
+      if (moduleId in manifest.modules) {
+        continue;
+      }
+      const exports = await import(pathToFileURL(file).href);
+      manifest.modules[moduleId] = {
+        // Client components are the module's function exports
+        exports: Object.keys(exports).filter(name => typeof exports[name] === 'function').sort(),
+        chunks: [...collectChunks(file)].map(toModuleId),
+      };
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Use this manifest (the build sets the one it just created)
+ */
+export function setClientManifest(manifest) {
+  clientManifest = manifest;
+}
+
+/**
+ * The current client reference manifest - set by the build, read from
+ * dist/client-manifest.json by the server
+ */
+export function getClientManifest() {
+  if (clientManifest === null) {
+    clientManifest = loadClientManifest() ?? EMPTY_MANIFEST;
+  }
+  return clientManifest;
+}
+
+/**
+ * Mark every client module's exports as client references
+ *
+ * Must run before anything is rendered or encoded: from then on Flight
+ * payloads refer to these components instead of rendering them.
+ */
+export async function registerClientModules(manifest = getClientManifest()) {
+  for (const [moduleId, { exports }] of Object.entries(manifest.modules)) {
+    const module = await import(pathToFileURL(resolve(PROJECT_ROOT, moduleId)).href);
+    for (const name of exports) {
+      registerClientReference(module[name], moduleId, name);
+    }
+  }
+}
+
+/**
+ * Every file the browser may load for client modules (module IDs)
+ */
+export function getClientModuleChunks(manifest = getClientManifest()) {
+  return new Set(Object.values(manifest.modules).flatMap(module => module.chunks));
+}
+
+/**
+ * The files to preload for one route: the chunks of the client modules
+ * its module graph reaches
+ *
+ * @param {string} routePath - The route's pattern, e.g. /products/:id
+ */
+export function getRouteClientChunks(routePath, manifest = getClientManifest()) {
+  const chunks = new Set();
+  for (const moduleId of manifest.routes[routePath] ?? []) {
+    manifest.modules[moduleId].chunks.forEach(chunk => chunks.add(chunk));
+  }
+  return [...chunks];
+}
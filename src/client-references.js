@@ -0,0 +1,59 @@
+/**
+ * =============================================================================
+ * CLIENT REFERENCES - Components the Flight Format Refers to by ID
+ * =============================================================================
+ *
+ * In React Server Components, a client component isn't serialized - its
+ * CODE lives in a client bundle, so the Flight payload only carries a
+ * reference to it ("module#export") plus its props. The receiver looks
+ * the ID up and renders the real component.
+ *
+ * We mark client components the way React does: `$$typeof` is
+ * Symbol.for('react.client.reference') and `$$id` is the reference ID.
+ * Because SSR runs in the same process, the registry maps each ID back to
+ * the component function when a payload is decoded (see flight.js).
+ */
+
+const CLIENT_REFERENCE = Symbol.for('react.client.reference');
+
+// reference ID → component
+const clientReferences = new Map();
+
+/**
+ * Mark a component as a client reference
+ *
+ * @param {Function} Component
+ * @param {string} moduleId - e.g. 'src/components/AddToCart.js'
+ * @param {string} [exportName] - Defaults to the function name
+ * @returns {Function} The same component, now a client reference
+ */
+export function registerClientReference(Component, moduleId, exportName = Component.name) {
+  const id = `${moduleId}#${exportName}`;
+  const existing = clientReferences.get(id);
+  if (existing && existing !== Component) {
+    throw new Error(`A different client reference is already registered as "${id}"`);
+  }
+
+  Component.$$typeof = CLIENT_REFERENCE;
+  Component.$$id = id;
+  clientReferences.set(id, Component);
+  return Component;
+}
+
+/**
+ * Is this a component registered with registerClientReference()?
+ */
+export function isClientReference(value) {
+  return typeof value === 'function' && value.$$typeof === CLIENT_REFERENCE;
+}
+
+/**
+ * Look a client reference up by ID
+ */
+export function resolveClientReference(id) {
+  const Component = clientReferences.get(id);
+  if (!Component) {
+    throw new Error(`Unknown client reference "${id}" - was its module imported?`);
+  }
+  return Component;
+}
@@ -0,0 +1,58 @@
+/**
+ * =============================================================================
+ * CLIENT ENTRY - Hydrating the Page in the Browser
+ * =============================================================================
+ *
+ * This module runs in the BROWSER (see client-bundle.js for how it's
+ * served). Module scripts run once the document has been parsed - for a
+ * PPR page that's after the shell AND the resumed holes have streamed in,
+ * together with the payload the server put before </body> (see
+ * hydration.js).
+ *
+ * The payload is the tree the server rendered, so hydrating it onto the
+ * HTML matches without running a single server component here. Client
+ * components ('use client') are only referenced in it, by
+ * "module#export" - their modules are imported before decoding (the
+ * route's modulepreload hints have usually fetched them already).
+ *
+ * If the server couldn't encode part of the payload, that part is null:
+ * it's fetched from the route's RSC payload instead, and React renders
+ * whatever doesn't match the HTML on the client.
+ *
+ * From then on the client router (router.js) renders other pages into the
+ * same root.
+ */
+
+import { hydrateRoot } from 'react-dom/client';
+import { loadClientReferences, decodePayload } from './payload.js';
+import { startRouter, recoverPayload } from './router.js';
+
+// Written by hydrationScript() in hydration.js
+const HYDRATION_DATA_ID = '__PPR_DATA__';
+
+const data = document.getElementById(HYDRATION_DATA_ID);
+
+if (!data) {
+  console.warn('[PPR] No hydration payload on this page - it stays static HTML');
+} else {
+  let { payload, holes } = JSON.parse(data.textContent);
+  if (payload === null || holes.includes(null)) {
+    console.error('[PPR] The server could not encode all of this page\'s payload - fetching the rest');
+    ({ payload, holes } = await recoverPayload(payload, holes));
+  } else {
+    await loadClientReferences([payload, ...holes]);
+    holes = holes.map(hole => decodePayload(hole));
+  }
+
+  const tree = decodePayload(payload, holes);
+
+  const root = hydrateRoot(document, tree, {
+    onRecoverableError(error) {
+      console.warn('[PPR] Hydration mismatch:', error);
+    },
+  });
+  console.log('[PPR] Hydrated');
+
+  // <Link> navigations render the next page into this root
+  startRouter(root);
+}
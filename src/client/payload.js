@@ -0,0 +1,52 @@
+/**
+ * =============================================================================
+ * CLIENT PAYLOADS - Decoding Server Trees in the Browser
+ * =============================================================================
+ *
+ * The hydration entry and the client router both turn Flight payloads from
+ * the server into trees React can render. In the browser there's no
+ * registry to look references up in:
+ *
+ * - Client references ("src/components/AddToCart.js#AddToCart") are
+ *   imported first - decoding is synchronous
+ * - Server actions become functions that submit the form to the server
+ */
+
+import { decodeFlight, listClientReferences } from '../flight.js';
+import { createServerActionReference } from '../server-actions.js';
+
+// Client reference ID → component, imported once per page load
+const components = new Map();
+
+/**
+ * Import the modules of every client reference in these payloads
+ *
+ * @param {string[]} payloads
+ */
+export async function loadClientReferences(payloads) {
+  const ids = [...new Set(payloads.flatMap(listClientReferences))].filter(id => !components.has(id));
+  await Promise.all(ids.map(async id => {
+    const [moduleId, exportName] = id.split('#');
+    // Served next to this module: /__ppr/client/src/...
+    const module = await import(new URL(`../../${moduleId}`, import.meta.url).href);
+    if (typeof module[exportName] !== 'function') {
+      throw new Error(`Client reference "${id}" isn't exported by its module`);
+    }
+    components.set(id, module[exportName]);
+  }));
+}
+
+/**
+ * Decode a payload whose client references have been loaded
+ *
+ * @param {string} payload
+ * @param {Array} [holes] - What goes in each `$P<n>` hole: elements, or
+ *   promises of them (React suspends on them until they resolve)
+ */
+export function decodePayload(payload, holes = []) {
+  return decodeFlight(payload, {
+    holes,
+    resolveServerAction: createServerActionReference,
+    resolveClientReference: id => components.get(id),
+  });
+}
@@ -0,0 +1,284 @@
+/**
+ * =============================================================================
+ * CLIENT ROUTER - Navigating Without Reloading the Page
+ * =============================================================================
+ *
+ * Runs in the BROWSER. After hydration, <Link> (components/Link.js) clicks
+ * don't load a new document: the router fetches the next route's Flight
+ * payload (see rsc-payload.js) and renders it into the hydrated root.
+ *
+ * PPR splits that payload in two, and so does the router:
+ *
+ *   PREFETCH   The static PRELUDE - the same for everyone until the shell
+ *              is rebuilt - is fetched ahead of time, when a link scrolls
+ *              into view or is hovered (?_rsc=prelude). It's kept for
+ *              PRELUDE_STALE_MS, along with the client components it uses.
+ *
+ *   CLICK      Only the HOLES are fetched (?_rsc=1&_prelude=<id>). The
+ *              prelude renders right away, each hole's Suspense fallback
+ *              shows until that hole streams in. A fully static page has
+ *              no holes - the click doesn't touch the network at all.
+ *
+ * If the server's prelude changed meanwhile, it sends the new one with the
+ * holes and the router uses that instead. Anything else going wrong falls
+ * back to a normal page load.
+ *
+ * History: a navigation pushes the URL; back/forward (popstate) render the
+ * page for the URL the browser went to.
+ */
+
+import { startTransition } from 'react';
+import { loadClientReferences, decodePayload } from './payload.js';
+
+// See rsc-payload.js
+const RSC_PARAM = '_rsc';
+const PRELUDE_PARAM = '_prelude';
+const RSC_CONTENT_TYPE = 'text/x-component';
+
+// How long a prefetched prelude is used without asking the server again
+// (like Next.js's staleTimes.static)
+const PRELUDE_STALE_MS = 5 * 60 * 1000;
+
+// Page (path + query) → { promise, fetchedAt }
+const preludes = new Map();
+
+// The root hydrateRoot() returned - null until the page has hydrated
+let root = null;
+
+// Increases with every navigation, so a slow one can't overwrite a newer one
+let latestNavigation = 0;
+
+/**
+ * Take over navigation for a hydrated page (called by client/entry.js)
+ */
+export function startRouter(hydratedRoot) {
+  root = hydratedRoot;
+  window.addEventListener('popstate', () => {
+    navigate(location.href, { history: 'none' });
+  });
+}
+
+/**
+ * Can a click on this link be handled by the router?
+ */
+export function isRouterReady() {
+  return root !== null;
+}
+
+function pageKey(url) {
+  return url.pathname + url.search;
+}
+
+/**
+ * The payload URL for a page
+ */
+function rscUrl(url, mode, preludeId = null) {
+  const rsc = new URL(url);
+  rsc.hash = '';
+  rsc.searchParams.set(RSC_PARAM, mode);
+  if (preludeId) {
+    rsc.searchParams.set(PRELUDE_PARAM, preludeId);
+  }
+  return rsc;
+}
+
+/**
+ * Fetch a payload and read it line by line (one JSON object per line)
+ */
+async function* fetchPayload(url) {
+  const response = await fetch(url);
+  if (!response.ok || !response.headers.get('content-type')?.startsWith(RSC_CONTENT_TYPE)) {
+    throw new Error(`Fetching ${pageKey(url)} failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffered += decoder.decode(value, { stream: !done });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        yield JSON.parse(line);
+      }
+      if (done) {
+        return;
+      }
+    }
+  } finally {
+    // Stopped early (frames.return()): don't download the rest
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * A prelude that's already been fetched (or is being fetched) and is
+ * still fresh, or null
+ */
+function cachedPrelude(url) {
+  const cached = preludes.get(pageKey(url));
+  return cached && Date.now() - cached.fetchedAt < PRELUDE_STALE_MS ? cached.promise : null;
+}
+
+function cachePrelude(url, promise) {
+  const key = pageKey(url);
+  preludes.set(key, { promise, fetchedAt: Date.now() });
+  // A failed prefetch is forgotten - the click fetches everything
+  promise.catch(() => preludes.delete(key));
+}
+
+/**
+ * Fetch a page's static prelude ahead of a click
+ *
+ * @param {string} href
+ * @returns {Promise<{ id: string, payload: string, holes: number }>}
+ */
+export function prefetch(href) {
+  const url = new URL(href, location.href);
+  const cached = cachedPrelude(url);
+  if (cached) {
+    return cached;
+  }
+
+  const promise = (async () => {
+    const { value: prelude } = await fetchPayload(rscUrl(url, 'prelude')).next();
+    // Its client components are loaded with it
+    await loadClientReferences([prelude.payload]);
+    return prelude;
+  })();
+  cachePrelude(url, promise);
+  return promise;
+}
+
+/**
+ * A promise for one hole's content, resolved when it streams in
+ */
+function createHole() {
+  let resolve;
+  const promise = new Promise(resolvePromise => {
+    resolve = resolvePromise;
+  });
+  return { promise, resolve, filled: false };
+}
+
+/**
+ * Fetch what the server couldn't put into this page's hydration payload
+ * (see hydration.js): the payload itself, or some of its holes
+ *
+ * @param {string|null} payload - null: fetch all of it
+ * @param {Array<string|null>} holes - null: fetch that hole
+ * @returns {Promise<{ payload: string, holes: Array }>} The holes as
+ *   decoded trees, or promises of them while they stream in
+ */
+export async function recoverPayload(payload, holes) {
+  const frames = fetchPayload(rscUrl(new URL(location.href), '1'));
+  const { value: first } = await frames.next();
+  if (payload !== first.payload) {
+    // All of it - or the shell was regenerated since, and the holes that
+    // fit the new one are sent with it
+    payload = first.payload;
+    holes = new Array(first.holes).fill(null);
+  }
+
+  await loadClientReferences([payload, ...holes.filter(hole => hole !== null)]);
+  const slots = holes.map(hole => (
+    hole === null ? createHole() : { promise: decodePayload(hole), filled: true }
+  ));
+
+  (async () => {
+    for await (const frame of frames) {
+      if (frame.error) {
+        throw new Error(frame.error);
+      }
+      const slot = slots[frame.hole];
+      if (!slot.filled) {
+        await loadClientReferences([frame.payload]);
+        slot.filled = true;
+        slot.resolve(decodePayload(frame.payload));
+      }
+    }
+  })().catch(error => {
+    // Those holes keep the server's HTML, without their client components
+    console.error('[PPR] Fetching the missing holes failed:', error);
+  });
+
+  return { payload, holes: slots.map(slot => slot.promise) };
+}
+
+/**
+ * Render another page without reloading
+ *
+ * @param {string} href
+ * @param {object} [options]
+ * @param {'push'|'replace'|'none'} [options.history] - What to do with the
+ *   URL ('none' when the browser already changed it: back/forward)
+ */
+export async function navigate(href, { history: historyMode = 'push' } = {}) {
+  const url = new URL(href, location.href);
+  if (root === null) {
+    location.assign(url.href);
+    return;
+  }
+
+  const navigation = ++latestNavigation;
+  try {
+    // A failed prefetch doesn't matter - the payload below has it all
+    let prelude = await cachedPrelude(url)?.catch(() => null) ?? null;
+
+    let frames = null;
+    if (prelude === null || prelude.holes > 0) {
+      frames = fetchPayload(rscUrl(url, '1', prelude?.id));
+      const { value: first } = await frames.next();
+      if (first.payload !== undefined) {
+        // Not prefetched, or the shell changed since
+        await loadClientReferences([first.payload]);
+        prelude = first;
+        cachePrelude(url, Promise.resolve(first));
+      }
+    }
+
+    if (navigation !== latestNavigation) {
+      await frames?.return();
+      return;
+    }
+
+    const holes = Array.from({ length: prelude.holes }, createHole);
+    const tree = decodePayload(prelude.payload, holes.map(hole => hole.promise));
+
+    if (historyMode === 'push') {
+      history.pushState(null, '', url.href);
+      window.scrollTo(0, 0);
+    } else if (historyMode === 'replace') {
+      history.replaceState(null, '', url.href);
+    }
+    startTransition(() => root.render(tree));
+
+    if (frames !== null) {
+      for await (const frame of frames) {
+        // The user has moved on - this page's holes don't matter anymore
+        if (navigation !== latestNavigation) {
+          await frames.return();
+          return;
+        }
+        if (frame.error) {
+          throw new Error(frame.error);
+        }
+        await loadClientReferences([frame.payload]);
+        holes[frame.hole].filled = true;
+        holes[frame.hole].resolve(decodePayload(frame.payload));
+      }
+    }
+    if (holes.some(hole => !hole.filled)) {
+      throw new Error('The payload ended before all holes were sent');
+    }
+  } catch (error) {
+    // Don't take the user back to a page they've left
+    if (navigation !== latestNavigation) {
+      return;
+    }
+    console.warn('[PPR] Client navigation failed - loading the page instead:', error);
+    location.assign(url.href);
+  }
+}
@@ -0,0 +1,51 @@
+'use client';
+
+/**
+ * =============================================================================
+ * ADD TO CART - A Client Component 🖱️
+ * =============================================================================
+ *
+ * The 'use client' directive above makes this a CLIENT component:
+ *
+ * - The server still renders it, so the button is in the HTML (and in the
+ *   prerendered shell of every /products/:id page)
+ * - The Flight payload only says "src/components/AddToCart.js#AddToCart"
+ *   plus its props - the browser loads this module and renders it itself
+ *   when it hydrates, so the click handler and the state work
+ *
+ * Only /products/:id imports it, so only those pages get a modulepreload
+ * hint for it (see client-manifest.js).
+ *
+ * Props must be serializable: they cross from the server to the browser.
+ */
+
+import React, { useState } from 'react';
+
+export function AddToCart({ productId, name }) {
+  const [quantity, setQuantity] = useState(0);
+
+  return React.createElement('div', {
+    style: { textAlign: 'center', margin: '20px 0' }
+  }, [
+    React.createElement('button', {
+      key: 'button',
+      type: 'button',
+      'data-product-id': productId,
+      onClick: () => setQuantity(current => current + 1),
+      style: {
+        padding: '10px 20px',
+        fontSize: '16px',
+        backgroundColor: '#3498db',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+      }
+    }, '🛒 Add to cart'),
+
+    React.createElement('p', {
+      key: 'quantity',
+      style: { color: '#666', fontSize: '14px' }
+    }, quantity === 0 ? `No ${name} in your cart yet` : `${quantity} × ${name} in your cart`),
+  ]);
+}
@@ -9,14 +9,16 @@
  * -------------------------
  *
  *   <App>                              ← Static (just a container)
- *     <Header />                       ← Static (prerendered)
+ *     <Layout>                         ← Static (html, head, Header, Footer)
+ *       <Header />                     ← Static (prerendered)
  *
- *     <Suspense fallback={...}>        ← The PPR boundary!
- *       <UserGreeting />               ← Dynamic (uses cookies)
- *     </Suspense>
+ *       <Suspense fallback={...}>      ← The PPR boundary!
+ *         <UserGreeting />             ← Dynamic (uses cookies)
+ *       </Suspense>
  *
- *     <ProductList />                  ← Static (prerendered)
- *     <Footer />                       ← Static (prerendered)
+ *       <ProductList />                ← Static (prerendered)
+ *       <Footer />                     ← Static (prerendered)
+ *     </Layout>
  *   </App>
  *
  *
@@ -56,86 +58,60 @@
  */
 
 import React, { Suspense } from 'react';
-import { Header } from './Header.js';
-import { Footer } from './Footer.js';
+import { Layout } from './Layout.js';
 import { ProductList } from './ProductList.js';
 import { UserGreeting, UserGreetingFallback } from './UserGreeting.js';
 import { AsyncComponent, AsyncComponentFallback } from './AsyncComponent.js';
+import { PromoBanner } from './PromoBanner.js';
 
 export function App() {
-  return React.createElement('html', { lang: 'en' }, [
-    React.createElement('head', { key: 'head' }, [
-      React.createElement('meta', { key: 'charset', charSet: 'utf-8' }),
-      React.createElement('meta', {
-        key: 'viewport',
-        name: 'viewport',
-        content: 'width=device-width, initial-scale=1'
-      }),
-      React.createElement('title', { key: 'title' }, 'PPR Demo - Partial Prerendering'),
-      React.createElement('style', { key: 'style' }, `
-        * { box-sizing: border-box; }
-        body {
-          margin: 0;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          background-color: #f0f0f0;
-        }
-        .container {
-          max-width: 1200px;
-          margin: 0 auto;
-          padding: 20px;
-        }
-      `)
-    ]),
+  // The <html>, Header and Footer come from the shared Layout (static)
+  return React.createElement(Layout, { title: 'PPR Demo - Partial Prerendering' }, [
+    // =====================================================================
+    // DYNAMIC: Promo Banner - Reads ?promo= at request time
+    //
+    // searchParams() postpones, so this is a second dynamic hole. Its
+    // fallback is empty because there's nothing to show until we know.
+    // =====================================================================
+    React.createElement(Suspense, {
+      key: 'promo',
+      fallback: null
+    }, React.createElement(PromoBanner)),
 
-    React.createElement('body', { key: 'body' },
-      React.createElement('div', { className: 'container' }, [
-        // =====================================================================
-        // STATIC: Header - Prerendered at build time
-        // =====================================================================
-        React.createElement(Header, { key: 'header' }),
-        // =====================================================================
-        
-        // =====================================================================
-        // CACHED ASYNC COMPONENT - Uses cache for prerendering
-        //
-        // This component has a 1-second async operation, but because it uses
-        // our cache mechanism, it will be PRERENDERED (not postponed)!
-        //
-        // The cache is warmed before prerendering, so the async function
-        // returns instantly during the actual prerender phase.
-        // =====================================================================
-        React.createElement(Suspense, {
-          key: 'async-suspense',
-          fallback: React.createElement(AsyncComponentFallback)
-        }, React.createElement(AsyncComponent, { key: 'async' })),
+    // =====================================================================
+    // CACHED ASYNC COMPONENT - Uses cache for prerendering
+    //
+    // This component has a 1-second async operation, but because it uses
+    // our cache mechanism, it will be PRERENDERED (not postponed)!
+    //
+    // The cache is warmed before prerendering, so the async function
+    // returns instantly during the actual prerender phase.
+    // =====================================================================
+    React.createElement(Suspense, {
+      key: 'async-suspense',
+      fallback: React.createElement(AsyncComponentFallback)
+    }, React.createElement(AsyncComponent, { key: 'async' })),
 
-        // =====================================================================
-        // DYNAMIC: User Greeting - Rendered at request time
-        //
-        // The Suspense boundary is CRITICAL here!
-        // It tells React: "This part might be async. If it is, show the
-        // fallback until it's ready."
-        //
-        // During prerender, when UserGreeting calls cookies(), React will
-        // postpone this subtree and render the fallback into the static shell.
-        // =====================================================================
-        React.createElement(Suspense, {
-          key: 'user-greeting',
-          fallback: React.createElement(UserGreetingFallback)
-        },
-          React.createElement(UserGreeting)
-        ),
+    // =====================================================================
+    // DYNAMIC: User Greeting - Rendered at request time
+    //
+    // The Suspense boundary is CRITICAL here!
+    // It tells React: "This part might be async. If it is, show the
+    // fallback until it's ready."
+    //
+    // During prerender, when UserGreeting calls cookies(), React will
+    // postpone this subtree and render the fallback into the static shell.
+    // =====================================================================
+    React.createElement(Suspense, {
+      key: 'user-greeting',
+      fallback: React.createElement(UserGreetingFallback)
+    },
+      React.createElement(UserGreeting)
+    ),
 
-        // =====================================================================
-        // STATIC: Product List - Prerendered at build time
-        // =====================================================================
-        React.createElement(ProductList, { key: 'products' }),
-
-        // =====================================================================
-        // STATIC: Footer - Prerendered at build time
-        // =====================================================================
-        React.createElement(Footer, { key: 'footer' }),
-      ])
-    )
+    // =====================================================================
+    // STATIC: Product List - Prerendered at build time
+    // =====================================================================
+    React.createElement(ProductList, { key: 'products' }),
   ]);
 }
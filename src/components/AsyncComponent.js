@@ -71,8 +71,17 @@ async function AsyncComponentImpl() {
  * - No component code runs
  * - Cached React elements returned directly
  * - Much faster than data-level caching!
+ *
+ * cacheLife 'minutes': after a minute the "Rendered at" time is refreshed
+ * in the background, and after an hour the cached output isn't served.
+ *
+ * No name is passed, so the cache ID is derived from this file and the
+ * function's name - src/components/AsyncComponent.js#AsyncComponentImpl
+ * (see cache-ids.js).
  */
-export const AsyncComponent = cachedComponent('async-component', AsyncComponentImpl);
+export const AsyncComponent = cachedComponent(AsyncComponentImpl, {
+  cacheLife: 'minutes',
+});
 
 /**
  * Fallback component
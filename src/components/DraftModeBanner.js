@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * DRAFT MODE BANNER - Tells Editors They're Previewing
+ * =============================================================================
+ *
+ * draftMode() is always off during prerender, so this renders nothing in
+ * any static shell. Draft requests get a full render, where it shows a
+ * banner with a link to leave draft mode.
+ */
+
+import React from 'react';
+import { draftMode } from '../dynamic-apis.js';
+
+export async function DraftModeBanner() {
+  const { isEnabled } = await draftMode();
+
+  if (!isEnabled) {
+    return null;
+  }
+
+  return React.createElement('div', {
+    style: {
+      backgroundColor: '#6a1b9a',
+      color: 'white',
+      padding: '10px 20px',
+      borderRadius: '8px',
+      marginBottom: '20px',
+    }
+  }, [
+    React.createElement('strong', { key: 'label' }, '📝 Draft mode: '),
+    'showing unpublished content, rendered fresh without the static shell or cache. ',
+    React.createElement('a', {
+      key: 'exit',
+      href: '/draft/disable',
+      style: { color: '#ffd54f' }
+    }, 'Exit draft mode'),
+  ]);
+}
@@ -9,14 +9,22 @@
  * - It can be fully rendered at build time
  *
  * In PPR terms: This will be part of the "static shell" that gets prerendered.
+ *
+ * The nav links are <Link>s - a client component - so after hydration they
+ * navigate without reloading the page.
  */
 
 import React from 'react';
 import { getCurrentTime } from '../static-apis.js';
+import { Link } from './Link.js';
 
 export function Header() {
   // Everything here is static - no dynamic APIs used
-  const navItems = ['Home', 'Products', 'About', 'Contact', getCurrentTime()];
+  const navItems = [
+    { label: 'Home', href: '/' },
+    { label: 'Products', href: '/products/1' },
+    { label: 'About', href: '/about' },
+  ];
 
   return React.createElement('header', {
     style: {
@@ -41,14 +49,18 @@ export function Header() {
           padding: 0,
         }
       },
-        navItems.map(item =>
-          React.createElement('li', { key: item },
-            React.createElement('a', {
-              href: '#',
-              style: { color: '#00d4ff', textDecoration: 'none' }
-            }, item)
-          )
-        )
+        [
+          ...navItems.map(item =>
+            React.createElement('li', { key: item.href },
+              React.createElement(Link, {
+                href: item.href,
+                style: { color: '#00d4ff', textDecoration: 'none' }
+              }, item.label)
+            )
+          ),
+          // When this shell was prerendered
+          React.createElement('li', { key: 'time', style: { color: '#999' } }, getCurrentTime()),
+        ]
       )
     )
   ]);
@@ -0,0 +1,53 @@
+/**
+ * =============================================================================
+ * LAYOUT - The Shared Document Shell
+ * =============================================================================
+ *
+ * Every route renders a full HTML document. The <html>, <head>, Header and
+ * Footer are the same on every page, so they live here and each route only
+ * provides its title and page content.
+ *
+ * Everything in this component is static - it ends up in every route's
+ * prerendered shell.
+ */
+
+import React from 'react';
+import { Header } from './Header.js';
+import { Footer } from './Footer.js';
+import { DraftModeBanner } from './DraftModeBanner.js';
+
+export function Layout({ title, children }) {
+  return React.createElement('html', { lang: 'en' }, [
+    React.createElement('head', { key: 'head' }, [
+      React.createElement('meta', { key: 'charset', charSet: 'utf-8' }),
+      React.createElement('meta', {
+        key: 'viewport',
+        name: 'viewport',
+        content: 'width=device-width, initial-scale=1'
+      }),
+      React.createElement('title', { key: 'title' }, title),
+      React.createElement('style', { key: 'style' }, `
+        * { box-sizing: border-box; }
+        body {
+          margin: 0;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background-color: #f0f0f0;
+        }
+        .container {
+          max-width: 1200px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+      `)
+    ]),
+
+    React.createElement('body', { key: 'body' },
+      React.createElement('div', { className: 'container' }, [
+        React.createElement(DraftModeBanner, { key: 'draft-mode' }),
+        React.createElement(Header, { key: 'header' }),
+        React.createElement('main', { key: 'main' }, children),
+        React.createElement(Footer, { key: 'footer' }),
+      ])
+    )
+  ]);
+}
@@ -0,0 +1,79 @@
+'use client';
+
+/**
+ * =============================================================================
+ * LINK - Client-Side Navigation Between Routes 🔗
+ * =============================================================================
+ *
+ * Renders a plain <a href> - without JavaScript (or before hydration) it
+ * loads the page like any link. Once the page has hydrated:
+ *
+ * - PREFETCH: when the link scrolls into view (or, with
+ *   prefetch="hover", when the pointer is over it), the route's static
+ *   prelude is fetched and kept (see client/router.js)
+ * - CLICK: the router renders the prefetched prelude right away and only
+ *   fetches the dynamic holes
+ *
+ * Clicks meant for the browser - a modifier key, a middle click, another
+ * origin, target="_blank" - are left alone.
+ *
+ *   React.createElement(Link, { href: '/about' }, 'About')
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { navigate, prefetch, isRouterReady } from '../client/router.js';
+
+/**
+ * Should the router handle this click instead of the browser?
+ */
+function isRouterClick(event, anchor) {
+  return (
+    !event.defaultPrevented &&
+    event.button === 0 &&
+    !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey &&
+    (!anchor.target || anchor.target === '_self') &&
+    anchor.origin === location.origin &&
+    isRouterReady()
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {string} props.href
+ * @param {'viewport'|'hover'|false} [props.prefetch] - When to prefetch
+ *   the route's prelude (default: when the link is visible)
+ */
+export function Link({ href, prefetch: prefetchMode = 'viewport', children, ...props }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (prefetchMode !== 'viewport' || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        prefetch(href).catch(() => {});
+      }
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [href, prefetchMode]);
+
+  return React.createElement('a', {
+    ...props,
+    ref,
+    href,
+    onMouseEnter() {
+      if (prefetchMode !== false && isRouterReady()) {
+        prefetch(href).catch(() => {});
+      }
+    },
+    onClick(event) {
+      if (isRouterClick(event, event.currentTarget)) {
+        event.preventDefault();
+        navigate(href);
+      }
+    },
+  }, children);
+}
@@ -18,18 +18,16 @@
  */
 
 import React from 'react';
-import { getCurrentTime } from '../static-apis.js';
+import { fetchProducts } from '../data/products.js';
+import { draftMode } from '../dynamic-apis.js';
+import { Link } from './Link.js';
 
-// Simulated static product data
-const products = [
-  { id: 1, name: 'Mechanical Keyboard', price: 149.99, emoji: '⌨️' },
-  { id: 2, name: 'Wireless Mouse', price: 79.99, emoji: '🖱️' },
-  { id: 3, name: 'USB-C Hub', price: 59.99, emoji: '🔌' },
-  { id: 4, name: '4K Monitor', price: 399.99, emoji: '🖥️' },
-  { id: 5, name: getCurrentTime(), price: 399.99, emoji: '🖥️' },
-];
+export async function ProductList() {
+  // Editors in draft mode also see unpublished products. draftMode() is
+  // always off during prerender, so the static shell only has published ones.
+  const { isEnabled } = await draftMode();
+  const products = await fetchProducts({ includeDrafts: isEnabled });
 
-export function ProductList() {
   return React.createElement('section', {
     style: {
       padding: '20px',
@@ -74,7 +72,10 @@ export function ProductList() {
           React.createElement('h3', {
             key: 'name',
             style: { margin: '10px 0 5px 0', textAlign: 'center' }
-          }, product.name),
+          }, React.createElement(Link, {
+            href: `/products/${product.id}`,
+            style: { color: 'inherit' }
+          }, product.name)),
 
           React.createElement('p', {
             key: 'price',
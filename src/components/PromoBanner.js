@@ -0,0 +1,33 @@
+/**
+ * =============================================================================
+ * PROMO BANNER - Reads the Query String ⚡
+ * =============================================================================
+ *
+ * Visit /?promo=SPRING and this banner confirms the promo code.
+ *
+ * The query string is per-request, so searchParams() postpones during
+ * prerender. The banner gets its own Suspense boundary (with an empty
+ * fallback) so it doesn't hold up anything else - it's just a second,
+ * independent dynamic hole next to UserGreeting.
+ */
+
+import React from 'react';
+import { searchParams } from '../dynamic-apis.js';
+
+export async function PromoBanner() {
+  const { promo } = await searchParams();
+
+  if (typeof promo !== 'string' || promo === '') {
+    return null;
+  }
+
+  return React.createElement('div', {
+    style: {
+      backgroundColor: '#fff8e1',
+      padding: '10px 20px',
+      borderRadius: '8px',
+      border: '2px solid #ffc107',
+      marginBottom: '20px',
+    }
+  }, `🎟️ Promo code "${promo}" applied - read from the query string with searchParams()`);
+}
@@ -31,6 +31,22 @@
  *    - The component renders with the real user data
  *    - This HTML is streamed to the client to fill the "hole"
  *
+ * LOGGING IN AND OUT:
+ * -------------------
+ * The forms below call server actions (see actions/session.js). Submitting
+ * one POSTs to the current page; the action sets the cookie and the page is
+ * resumed on the same response, so this hole already shows the new name.
+ *
+ * ONE SESSION LOOKUP PER REQUEST:
+ * -------------------------------
+ * fetchGreeting() and SessionControls both call getCurrentUser(). It's
+ * memoized per request (see memo.js), so the session is looked up once
+ * and they share the result - without ever sharing it with another user.
+ *
+ * The greeting itself is a PRIVATE cached function: kept per user across
+ * requests, never served to anyone else. During prerender it postpones,
+ * which is what makes this component dynamic.
+ *
  * THE SUSPENSE BOUNDARY IS CRITICAL:
  * ----------------------------------
  * Without <Suspense>, a dynamic component would block the ENTIRE page.
@@ -38,13 +54,15 @@
  */
 
 import React from 'react';
-import { cookies, getCurrentTime } from '../dynamic-apis.js';
+import { getCurrentTime } from '../dynamic-apis.js';
+import { login, logout } from '../actions/session.js';
+import { getCurrentUser, fetchGreeting } from '../data/session.js';
 
 export async function UserGreeting() {
-  // This is the line that makes us dynamic!
+  // This is the line that makes us dynamic - a private cached function
+  // postpones during prerender, and reads cookies() at request time.
   // Try commenting it out and the component becomes static.
-  const cookieStore = await cookies();
-  const username = cookieStore.get('username')?.value || 'Guest';
+  const greeting = await fetchGreeting();
 
   // Also get the current time to show another dynamic value
   const time = await getCurrentTime();
@@ -61,13 +79,20 @@ export async function UserGreeting() {
     React.createElement('h2', {
       key: 'greeting',
       style: { margin: '0 0 10px 0' }
-    }, `👋 Welcome back, ${username}!`),
+    }, `👋 ${greeting.message}`),
+
+    React.createElement('p', {
+      key: 'prepared',
+      style: { margin: '0 0 10px 0', color: '#666', fontSize: '12px' }
+    }, `Greeting prepared at ${greeting.preparedAt.toISOString()} (cached just for you)`),
 
     React.createElement('p', {
       key: 'time',
       style: { margin: '0 0 10px 0', color: '#666' }
     }, `Current server time: ${time}`),
 
+    React.createElement(SessionControls, { key: 'session' }),
+
     React.createElement('p', {
       key: 'note',
       style: {
@@ -80,6 +105,36 @@ export async function UserGreeting() {
   ]);
 }
 
+/**
+ * Log in / log out - plain HTML forms that work without any client JavaScript
+ *
+ * Asks for the current user itself instead of taking it as a prop; the
+ * memoized lookup makes that free.
+ */
+async function SessionControls() {
+  const { isLoggedIn } = await getCurrentUser();
+
+  if (isLoggedIn) {
+    return React.createElement('form', {
+      action: logout,
+      style: { margin: '0 0 10px 0' }
+    }, React.createElement('button', { type: 'submit' }, 'Log out'));
+  }
+
+  return React.createElement('form', {
+    action: login,
+    style: { margin: '0 0 10px 0', display: 'flex', gap: '8px' }
+  }, [
+    React.createElement('input', {
+      key: 'username',
+      name: 'username',
+      placeholder: 'Your name',
+      'aria-label': 'Your name',
+    }),
+    React.createElement('button', { key: 'submit', type: 'submit' }, 'Log in'),
+  ]);
+}
+
 /**
  * LOADING FALLBACK - Shown while the dynamic content loads
  *
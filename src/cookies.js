@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ * COOKIES - Parsing and Serialization
+ * =============================================================================
+ *
+ * The Cookie request header is a list of name=value pairs, but each
+ * Set-Cookie response header carries ONE cookie plus its attributes:
+ *
+ *   Cookie:     username=Alice; theme=dark
+ *   Set-Cookie: username=Alice; Path=/; HttpOnly; SameSite=Lax
+ *   Set-Cookie: theme=dark; Path=/; Max-Age=31536000
+ *
+ * Values are percent-encoded so that characters like ';', ',' and spaces
+ * survive the round trip.
+ */
+
+// RFC 6265 cookie-name: an RFC 7230 token
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    // Not something we encoded - hand it back untouched
+    return value;
+  }
+}
+
+/**
+ * Parse a Cookie request header into a plain object
+ *
+ *   parseCookies('a=1; b=hello%20world') → { a: '1', b: 'hello world' }
+ */
+export function parseCookies(cookieHeader = '') {
+  const cookies = {};
+  cookieHeader.split(';').forEach(cookie => {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name && !(name in cookies)) {
+      cookies[name] = decode(rest.join('='));
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Serialize one cookie for a Set-Cookie header
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {object} [options]
+ * @param {string} [options.path] - defaults to '/'
+ * @param {string} [options.domain]
+ * @param {number} [options.maxAge] - in seconds
+ * @param {Date} [options.expires]
+ * @param {boolean} [options.httpOnly]
+ * @param {boolean} [options.secure]
+ * @param {'strict'|'lax'|'none'} [options.sameSite]
+ * @param {boolean} [options.partitioned]
+ */
+export function serializeCookie(name, value, options = {}) {
+  if (!COOKIE_NAME.test(name)) {
+    throw new Error(`Invalid cookie name: ${JSON.stringify(name)}`);
+  }
+
+  const parts = [`${name}=${encodeURIComponent(String(value))}`];
+
+  parts.push(`Path=${options.path ?? '/'}`);
+  if (options.domain) {
+    parts.push(`Domain=${options.domain}`);
+  }
+  if (options.maxAge !== undefined) {
+    if (!Number.isFinite(options.maxAge)) {
+      throw new Error(`Invalid maxAge for cookie "${name}": ${options.maxAge}`);
+    }
+    parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+  }
+  if (options.expires) {
+    parts.push(`Expires=${options.expires.toUTCString()}`);
+  }
+  if (options.httpOnly) {
+    parts.push('HttpOnly');
+  }
+  if (options.secure) {
+    parts.push('Secure');
+  }
+  if (options.sameSite) {
+    const sameSite = SAME_SITE[String(options.sameSite).toLowerCase()];
+    if (!sameSite) {
+      throw new Error(`Invalid sameSite for cookie "${name}": ${options.sameSite}`);
+    }
+    parts.push(`SameSite=${sameSite}`);
+  }
+  if (options.partitioned) {
+    parts.push('Partitioned');
+  }
+
+  return parts.join('; ');
+}
@@ -0,0 +1,60 @@
+/**
+ * =============================================================================
+ * PRODUCT CATALOG - Simulated Static Product Data
+ * =============================================================================
+ *
+ * In a real app this would come from a CMS or database. It's shared by the
+ * ProductList on the home page and the /products/:id detail pages, whose
+ * generateStaticParams() turns every entry into a prerendered page.
+ *
+ * Pages read it through the cached fetchers at the bottom, tagged
+ * 'products' (and 'product:<id>'), so a catalog change only needs
+ * revalidateTag('products') instead of a full rebuild.
+ */
+
+import { getCurrentTime } from '../static-apis.js';
+import { cached } from '../cache.js';
+
+export const products = [
+  { id: 1, name: 'Mechanical Keyboard', price: 149.99, emoji: '⌨️' },
+  { id: 2, name: 'Wireless Mouse', price: 79.99, emoji: '🖱️' },
+  { id: 3, name: 'USB-C Hub', price: 59.99, emoji: '🔌' },
+  { id: 4, name: '4K Monitor', price: 399.99, emoji: '🖥️' },
+  { id: 5, name: getCurrentTime(), price: 399.99, emoji: '🖥️' },
+
+  // Not published yet - only visible in draft mode (see draft-mode.js)
+  { id: 6, name: 'Standing Desk', price: 499.99, emoji: '🪑', draft: true },
+];
+
+/**
+ * List products, leaving out unpublished ones unless asked for them
+ */
+export function getProducts({ includeDrafts = false } = {}) {
+  return products.filter(product => includeDrafts || !product.draft);
+}
+
+/**
+ * Look up a product by id (as it appears in the URL)
+ */
+export function getProduct(id, { includeDrafts = false } = {}) {
+  return getProducts({ includeDrafts })
+    .find(product => String(product.id) === String(id)) || null;
+}
+
+/**
+ * Cached product list - what pages render (see revalidate.js)
+ */
+export const fetchProducts = cached(
+  'products',
+  async ({ includeDrafts = false } = {}) => getProducts({ includeDrafts }),
+  { tags: ['products'] }
+);
+
+/**
+ * Cached product lookup - tagged per product, so one can be revalidated alone
+ */
+export const fetchProduct = cached(
+  'product',
+  async (id, { includeDrafts = false } = {}) => getProduct(id, { includeDrafts }),
+  { tags: id => ['products', `product:${id}`] }
+);
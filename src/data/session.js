@@ -0,0 +1,60 @@
+/**
+ * =============================================================================
+ * SESSION - Who Is Making This Request?
+ * =============================================================================
+ *
+ * In a real app this would look the session cookie up in a database. Here
+ * the cookie holds the username, and a short delay stands in for the
+ * lookup.
+ *
+ * The result depends on the request's cookies, so it must never go in the
+ * shared cache. getCurrentUser() is wrapped in memo() instead: every
+ * component that asks during one request shares a single lookup, and the
+ * next request starts over (see memo.js).
+ *
+ * fetchGreeting() is slower and worth keeping across requests - but only
+ * for the same user, so it's a PRIVATE cached function (see cache.js).
+ */
+
+import { cookies } from '../dynamic-apis.js';
+import { memo } from '../memo.js';
+import { cached } from '../cache.js';
+
+/**
+ * The current user - { username, isLoggedIn }
+ */
+export const getCurrentUser = memo(async function getCurrentUser() {
+  const cookieStore = await cookies();
+  const username = cookieStore.get('username')?.value || 'Guest';
+
+  console.log(`      👤 Session lookup: ${username}`);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  return { username, isLoggedIn: username !== 'Guest' };
+});
+
+/**
+ * The personalized greeting - cached per logged-in user for a few minutes
+ *
+ * identity() is the session (here, the username cookie). Guests have no
+ * identity, so their greeting is built fresh every time.
+ */
+export const fetchGreeting = cached(
+  'greeting',
+  async () => {
+    const { username } = await getCurrentUser();
+
+    console.log(`      💬 Building greeting for ${username}...`);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    return { message: `Welcome back, ${username}!`, preparedAt: new Date() };
+  },
+  {
+    scope: 'private',
+    identity: async () => {
+      const { username, isLoggedIn } = await getCurrentUser();
+      return isLoggedIn ? username : null;
+    },
+    cacheLife: 'minutes',
+  }
+);
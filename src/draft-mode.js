@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ * DRAFT MODE - A Signed Cookie That Bypasses the Static Shell
+ * =============================================================================
+ *
+ * Editors want to see unpublished content before it goes live. The static
+ * shell can't show it - it was prerendered at build time for everyone.
+ *
+ * Like Next.js's draftMode() (which uses a __prerender_bypass cookie), a
+ * request carrying a valid draft cookie skips the prerendered artifacts
+ * entirely:
+ * - No shell.html, no resumeToPipeableStream()
+ * - A full renderToPipeableStream() of the route instead
+ * - cached() / cachedComponent() skip the cache store
+ *
+ * THE COOKIE:
+ * -----------
+ * The value is "<issued at>.<nonce>.<signature>", where signature is an
+ * HMAC of the rest using PPR_DRAFT_SECRET. Anyone can set a cookie, but
+ * only the server can produce a valid signature, so visitors can't opt
+ * themselves into draft content.
+ *
+ * A cookie is good for DRAFT_MAX_AGE_SECONDS. The browser drops it then
+ * (Max-Age), and the server checks the signed issue time too - a leaked
+ * cookie stops working on its own, without rotating the secret.
+ *
+ * Without PPR_DRAFT_SECRET draft mode is off: /draft/enable doesn't exist
+ * and no cookie is valid. (A default secret would be public - anyone could
+ * read unpublished content with it.)
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { parseCookies } from './cookies.js';
+
+export const DRAFT_COOKIE = '__ppr_draft';
+
+// Draft mode is disabled unless this is set
+const SECRET = process.env.PPR_DRAFT_SECRET || null;
+
+// How long an editor stays in draft mode before enabling it again
+export const DRAFT_MAX_AGE_SECONDS = 60 * 60;
+
+/**
+ * Is draft mode available (is PPR_DRAFT_SECRET set)?
+ */
+export function isDraftModeEnabled() {
+  return SECRET !== null;
+}
+
+/**
+ * Check the ?secret= an editor passes to /draft/enable
+ */
+export function isValidDraftSecret(secret) {
+  if (SECRET === null || typeof secret !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(SECRET);
+  const actual = Buffer.from(secret);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+  return createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a new signed cookie value
+ */
+export function createDraftCookieValue(now = Date.now()) {
+  const payload = `${Math.floor(now / 1000)}.${randomBytes(16).toString('base64url')}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Does this cookie value carry a valid signature, issued less than
+ * DRAFT_MAX_AGE_SECONDS ago?
+ */
+export function verifyDraftCookieValue(value, now = Date.now()) {
+  if (SECRET === null || typeof value !== 'string') {
+    return false;
+  }
+  const [issuedAt, nonce, signature] = value.split('.');
+  if (!/^\d+$/.test(issuedAt ?? '') || !nonce || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(sign(`${issuedAt}.${nonce}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return false;
+  }
+  const age = Math.floor(now / 1000) - Number(issuedAt);
+  return age >= 0 && age < DRAFT_MAX_AGE_SECONDS;
+}
+
+/**
+ * Is draft mode enabled for this request?
+ */
+export function isDraftRequest(req) {
+  return verifyDraftCookieValue(parseCookies(req.headers.cookie)[DRAFT_COOKIE]);
+}
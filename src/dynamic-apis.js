@@ -28,6 +28,10 @@ import {
   renderStorage,
   trackDynamicAccess,
 } from './async-storage.js';
+import { parseCookies, serializeCookie } from './cookies.js';
+import { assertHeadersWritable } from './response.js';
+import { memo } from './memo.js';
+import { RSC_PARAM, PRELUDE_PARAM } from './rsc-payload.js';
 
 /**
  * Postpone rendering - marks this component as dynamic
@@ -41,11 +45,24 @@ import {
  * At request time, this function is not called because the store type
  * is 'request', so the component renders with real data.
  *
- * @param {string} route - The route being rendered
+ * The reason names the route being prerendered (taken from the prerender
+ * store), and the access is recorded with React's owner stack so the build
+ * report can point at the component that went dynamic.
+ *
+ * Also used by private cached functions (see cache.js), which can't be
+ * part of a shell that every user gets.
+ *
  * @param {string} expression - The dynamic API that triggered postpone
  */
-function postpone(route, expression) {
-  const reason = `Route ${route} needs to bail out of prerendering at this point because it used ${expression}.`;
+export function postpone(expression) {
+  const store = renderStorage.getStore();
+  const reason = `Route ${store.route} needs to bail out of prerendering at this point because it used ${expression}.`;
+
+  // captureOwnerStack() only works in development builds and only while
+  // React is rendering a component - after an await it returns null
+  const ownerStack = React.captureOwnerStack?.() ?? null;
+
+  trackDynamicAccess(expression, { reason, ownerStack });
   console.log(`[PPR] Postponing render: ${expression}`);
 
   // Use React's official postpone API
@@ -62,6 +79,9 @@ console.log('[PPR] Using React.unstable_postpone (React 19.2.3 experimental)');
  *
  * The actual Next.js code calls postponeWithTracking() when:
  * - Store type is 'prerender-ppr' and cookies are accessed
+ *
+ * At request time it returns a cookie store: get/getAll/has to read, and
+ * set/delete to write - until the response headers are committed.
  */
 export async function cookies() {
   const store = renderStorage.getStore();
@@ -72,33 +92,72 @@ export async function cookies() {
 
   if (store.type === 'prerender') {
     // During prerender, we can't access cookies - they don't exist yet!
-    trackDynamicAccess('cookies()');
-    postpone('/demo', 'cookies()');
+    postpone('cookies()');
     // Never reached - postpone throws
   }
 
   if (store.type === 'request') {
-    // At request time, we have real cookies
-    const req = store.request;
-    const cookieHeader = req.headers.cookie || '';
+    // At request time, we have real cookies - plus any this request wrote
+    return createCookieStore(store);
+  }
+}
 
-    const cookies = {};
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, ...rest] = cookie.trim().split('=');
-      if (name) {
-        cookies[name] = rest.join('=');
-      }
-    });
+/**
+ * The object cookies() returns at request time
+ *
+ * Reads see the request's cookies with this request's own writes applied,
+ * so a component rendered after `cookies().set('username', 'Alice')` in
+ * the same request already sees Alice.
+ *
+ * Writes are queued on the request store and sent as Set-Cookie headers
+ * when the server commits the response (see response.js).
+ */
+function createCookieStore(store) {
+  const requestCookies = parseCookies(store.request.headers.cookie);
 
-    return {
-      get(name) {
-        return cookies[name] ? { name, value: cookies[name] } : undefined;
-      },
-      getAll() {
-        return Object.entries(cookies).map(([name, value]) => ({ name, value }));
-      },
-    };
+  function current() {
+    const cookies = { ...requestCookies };
+    for (const [name, { value, options }] of store.response?.cookies ?? []) {
+      if (options.maxAge === 0) {
+        delete cookies[name];
+      } else {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
   }
+
+  return {
+    get(name) {
+      const cookies = current();
+      return name in cookies ? { name, value: cookies[name] } : undefined;
+    },
+    getAll() {
+      return Object.entries(current()).map(([name, value]) => ({ name, value }));
+    },
+    has(name) {
+      return name in current();
+    },
+    /**
+     * @param {string} name
+     * @param {string} value
+     * @param {object} [options] - path, domain, maxAge, expires, httpOnly,
+     *   secure, sameSite, partitioned (see serializeCookie)
+     */
+    set(name, value, options = {}) {
+      assertHeadersWritable(store.response, `cookies().set('${name}')`);
+      // Serialize now so a bad name or option throws at the call site
+      serializeCookie(name, value, options);
+      store.response.cookies.set(name, { value: String(value), options });
+    },
+    delete(name, options = {}) {
+      assertHeadersWritable(store.response, `cookies().delete('${name}')`);
+      store.response.cookies.set(name, {
+        value: '',
+        options: { ...options, maxAge: 0, expires: new Date(0) },
+      });
+    },
+  };
 }
 
 /**
@@ -112,8 +171,7 @@ export async function headers() {
   }
 
   if (store.type === 'prerender') {
-    trackDynamicAccess('headers()');
-    postpone('/demo', 'headers()');
+    postpone('headers()');
   }
 
   if (store.type === 'request') {
@@ -130,6 +188,12 @@ export async function headers() {
   }
 }
 
+// One time per request: the resumed HTML and the hydration payload (see
+// hydration.js) render the same hole, and must show the same time
+const requestTime = memo(function requestTime() {
+  return new Date().toLocaleTimeString();
+});
+
 /**
  * getCurrentTime() - Get the current server time
  */
@@ -141,12 +205,11 @@ export async function getCurrentTime() {
   }
 
   if (store.type === 'prerender') {
-    trackDynamicAccess('getCurrentTime()');
-    postpone('/demo', 'getCurrentTime()');
+    postpone('getCurrentTime()');
   }
 
   if (store.type === 'request') {
-    return new Date().toLocaleTimeString();
+    return requestTime();
   }
 }
 
@@ -161,10 +224,120 @@ export async function connection() {
   }
 
   if (store.type === 'prerender') {
-    trackDynamicAccess('connection()');
-    postpone('/demo', 'connection()');
+    postpone('connection()');
   }
 
   return undefined;
 }
 
+/**
+ * searchParams() - Access the URL query string
+ *
+ * The query string is different for every request, so it can never be
+ * part of the static shell. At request time it returns Express's parsed
+ * req.query, e.g. { promo: 'SPRING' } for /?promo=SPRING.
+ *
+ * The router's own params (?_rsc=1&_prelude=<id>, see rsc-payload.js) are
+ * left out, so holes fetched by a client navigation see the same query as
+ * the HTML request for that URL.
+ */
+export async function searchParams() {
+  const store = renderStorage.getStore();
+
+  if (!store) {
+    throw new Error('searchParams() must be called within a render context');
+  }
+
+  if (store.type === 'prerender') {
+    postpone('searchParams()');
+  }
+
+  if (store.type === 'request') {
+    const { [RSC_PARAM]: _rsc, [PRELUDE_PARAM]: _prelude, ...query } = store.request.query;
+    return query;
+  }
+}
+
+/**
+ * params() - Access the route's dynamic segments
+ *
+ * Unlike the other dynamic APIs, params() is only SOMETIMES dynamic:
+ * - Params enumerated by generateStaticParams() are known at build time,
+ *   so they're returned during prerender and baked into the shell
+ * - Params prerendered on demand (dynamicParams = true) postpone, so the
+ *   shell stays generic and the real values stream in at request time
+ */
+export async function params() {
+  const store = renderStorage.getStore();
+
+  if (!store) {
+    throw new Error('params() must be called within a render context');
+  }
+
+  if (store.type === 'prerender') {
+    if (store.staticParams) {
+      return { ...store.params };
+    }
+    postpone('params()');
+  }
+
+  if (store.type === 'request') {
+    return { ...store.params };
+  }
+}
+
+/**
+ * draftMode() - Is this an editor previewing unpublished content?
+ *
+ * NEXT.JS IMPLEMENTATION:
+ * packages/next/src/server/request/draft-mode.ts
+ *
+ * Draft requests never see the static shell (the server does a full
+ * render for them), so during prerender the answer is always "no" and
+ * there's nothing to postpone. At request time it reflects the signed
+ * draft cookie checked by the server. Turn it on and off with the
+ * /draft/enable and /draft/disable endpoints.
+ */
+export async function draftMode() {
+  const store = renderStorage.getStore();
+
+  if (!store) {
+    throw new Error('draftMode() must be called within a render context');
+  }
+
+  return {
+    isEnabled: store.type === 'request' && store.isDraftMode,
+  };
+}
+
+/**
+ * setHeader() - Set a response header
+ *
+ * Like cookies().set(), this only works until the response is committed.
+ * During prerender there is no response at all - the shell is shared by
+ * every visitor - so calling it there is an error rather than a postpone.
+ *
+ * Set-Cookie is rejected: use cookies().set() so cookies are serialized
+ * and merged correctly.
+ */
+export function setHeader(name, value) {
+  const store = renderStorage.getStore();
+
+  if (!store) {
+    throw new Error('setHeader() must be called within a render context');
+  }
+
+  if (store.type === 'prerender') {
+    throw new Error(
+      `setHeader('${name}') was called during prerender (route ${store.route}). ` +
+      'The static shell is shared by every request, so it has no response headers of its own.'
+    );
+  }
+
+  if (name.toLowerCase() === 'set-cookie') {
+    throw new Error("setHeader('Set-Cookie') is not supported - use cookies().set() instead");
+  }
+
+  assertHeadersWritable(store.response, `setHeader('${name}')`);
+  store.response.headers.set(name.toLowerCase(), { name, value: String(value) });
+}
@@ -0,0 +1,503 @@
+/**
+ * =============================================================================
+ * FLIGHT - Serializing React Trees (a Simplified RSC Wire Format)
+ * =============================================================================
+ *
+ * Next.js stores 'use cache' results as React Server Components "Flight"
+ * payloads: the output is rendered down to host elements, client component
+ * references and plain data, then written as rows of JSON. This module
+ * does the same for cached() and cachedComponent() (see cache.js).
+ *
+ * THE FORMAT:
+ * -----------
+ * One row per line, `<id>:<payload>`. Row 0 is the value itself; other
+ * rows hold things that are referenced from it:
+ *
+ *   0:["$","div",null,{"children":["$","$L1",null,{"sku":"$n42"}]}]
+ *   1:I{"id":"src/components/AddToCart.js#AddToCart"}
+ *
+ * Values are JSON, with strings starting with "$" used as tags:
+ *
+ *   ["$", type, key, props]   React element (type: tag name, $S.. or $L..)
+ *   $S<name>                  Symbol.for(name) - Fragment, Suspense, ...
+ *   $L<row>                   Client reference (row is an I{...} import)
+ *   $P<n>                     A postponed hole (see HOLES below)
+ *   $h<id>                    Server action (see server-actions.js)
+ *   $@<row>                   Promise (row holds its value, or E{...})
+ *   $D<iso>                   Date
+ *   $Q<row> / $W<row>         Map / Set (row holds the entries)
+ *   $n<digits>                BigInt
+ *   $undefined $NaN $Infinity $-Infinity $-0
+ *   $$...                     A string that really starts with "$"
+ *
+ * SERVER COMPONENTS ARE RENDERED:
+ * -------------------------------
+ * Like React's Flight renderer, encoding calls every server component in
+ * the tree (awaiting async ones), so the payload contains only what they
+ * returned. Client components are NOT called - they're kept as references
+ * and rendered by whoever decodes the payload. Suspense boundaries are
+ * kept, with their content already resolved.
+ *
+ * HOLES:
+ * ------
+ * The client hydrates a page from its payload (see hydration.js), so the
+ * build encodes every page's tree next to its shell. Parts of it postpone,
+ * just like in the prerender: with the `holes` option, a postpone inside a
+ * Suspense boundary (or at the root) doesn't fail the encoding - the
+ * boundary's children become `$P<n>` and where they are is recorded.
+ *
+ * At request time encodeFlightHoles() walks the same tree to those places
+ * and encodes only what's there, each hole as a payload of its own. The
+ * rest of the tree isn't rendered again.
+ */
+
+import React from 'react';
+import {
+  isClientReference,
+  resolveClientReference as resolveRegisteredClientReference,
+} from './client-references.js';
+import { getServerAction } from './server-actions.js';
+
+const REACT_ELEMENT_TYPE = Symbol.for('react.transitional.element');
+const REACT_MEMO_TYPE = Symbol.for('react.memo');
+const REACT_FORWARD_REF_TYPE = Symbol.for('react.forward_ref');
+const REACT_SUSPENSE_TYPE = Symbol.for('react.suspense');
+const REACT_POSTPONE_TYPE = Symbol.for('react.postpone');
+
+/**
+ * Describe where in the value we are, for error messages
+ */
+function describePath(path) {
+  return path.length > 0 ? path.join('') : '(root)';
+}
+
+/**
+ * Did a component call React.unstable_postpone()? (see dynamic-apis.js)
+ */
+function isPostpone(error) {
+  return error !== null && typeof error === 'object' && error.$$typeof === REACT_POSTPONE_TYPE;
+}
+
+/**
+ * Is `path` where `hole` is, or on the way there?
+ */
+function isPathPrefix(path, hole) {
+  return path.length <= hole.length && path.every((segment, i) => segment === hole[i]);
+}
+
+/**
+ * Is this a server action created by serverAction()?
+ */
+function isServerAction(value) {
+  return typeof value.$$id === 'string' && getServerAction(value.$$id) === value;
+}
+
+/**
+ * Encode a value (usually a React tree) as a Flight payload
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {Array<string[]>} [options.holes] - Collect postponed holes here
+ *   (their paths) instead of failing on a postpone
+ * @param {Array<string[]>} [options.visit] - Only walk to these holes, and
+ *   call options.onHole(index, value) for what's in them - used by
+ *   encodeFlightHoles()
+ * @returns {Promise<string>}
+ */
+export async function encodeFlight(value, options = {}) {
+  const { holes = null, visit = null, onHole = null } = options;
+  const rows = [];
+
+  // Reserve a row and return its id (filled in later)
+  function reserveRow() {
+    rows.push(null);
+    return rows.length - 1;
+  }
+
+  // Client references get one import row each, however often they appear
+  const importRows = new Map();
+  function clientReferenceRow(Component) {
+    if (!importRows.has(Component)) {
+      const id = reserveRow();
+      rows[id] = `I${JSON.stringify({ id: Component.$$id })}`;
+      importRows.set(Component, id);
+    }
+    return importRows.get(Component);
+  }
+
+  async function encodeElement(element, path, ancestors) {
+    let { type } = element;
+    const { key, props } = element;
+
+    // memo() and forwardRef() wrap the component that actually renders
+    let render = null;
+    if (type !== null && typeof type === 'object') {
+      if (type.$$typeof === REACT_MEMO_TYPE) {
+        type = type.type;
+      } else if (type.$$typeof === REACT_FORWARD_REF_TYPE) {
+        render = () => type.render(props, null);
+      } else {
+        throw new Error(`Unsupported element type at ${describePath(path)}`);
+      }
+    }
+
+    if (render === null && typeof type === 'function') {
+      if (isClientReference(type)) {
+        const encodedProps = await encodeValue(props, [...path, '.props'], ancestors);
+        return ['$', `$L${clientReferenceRow(type)}`, key, encodedProps];
+      }
+      render = () => type(props);
+    }
+
+    if (render !== null) {
+      // A server component - render it and encode what it returned
+      const name = type.displayName || type.name || 'Anonymous';
+      const output = await encodeValue(await render(), [...path, `<${name}>`], ancestors);
+      // Keep the key, so siblings in a list stay distinguishable
+      return key === null ? output : ['$', '$Sreact.fragment', key, { children: output }];
+    }
+
+    if (type === REACT_SUSPENSE_TYPE && holes !== null) {
+      return ['$', '$Sreact.suspense', key, await encodeSuspenseProps(props, [...path, '<react.suspense>'], ancestors)];
+    }
+
+    const encodedType = typeof type === 'symbol' ? encodeValue(type, path, ancestors) : type;
+    const encodedProps = await encodeValue(props, [...path, `<${String(type.description ?? type)}>`], ancestors);
+    return ['$', await encodedType, key, encodedProps];
+  }
+
+  // A boundary whose children postpone becomes a hole
+  async function encodeSuspenseProps(props, path, ancestors) {
+    const { children, ...rest } = props;
+    const encoded = await encodeValue(rest, path, ancestors);
+    const childrenPath = [...path, '.children'];
+    try {
+      encoded.children = await encodeValue(children, childrenPath, ancestors);
+    } catch (error) {
+      if (!isPostpone(error)) {
+        throw error;
+      }
+      encoded.children = `$P${holes.push(childrenPath) - 1}`;
+    }
+    return encoded;
+  }
+
+  async function encodeValue(value, path, ancestors) {
+    if (visit !== null) {
+      const hole = visit.findIndex(holePath => holePath.length === path.length && isPathPrefix(path, holePath));
+      if (hole !== -1) {
+        await onHole(hole, value);
+        return null;
+      }
+      // Nowhere near a hole - don't render it
+      if (!visit.some(holePath => isPathPrefix(path, holePath))) {
+        return null;
+      }
+    }
+
+    switch (typeof value) {
+      case 'undefined':
+        return '$undefined';
+      case 'boolean':
+        return value;
+      case 'number':
+        if (Number.isNaN(value)) return '$NaN';
+        if (value === Infinity) return '$Infinity';
+        if (value === -Infinity) return '$-Infinity';
+        if (Object.is(value, -0)) return '$-0';
+        return value;
+      case 'bigint':
+        return `$n${value.toString()}`;
+      case 'string':
+        return value.startsWith('$') ? `$${value}` : value;
+      case 'symbol': {
+        const name = Symbol.keyFor(value);
+        if (name === undefined) {
+          throw new Error(`Only Symbol.for() symbols can be serialized (found ${value.toString()} at ${describePath(path)})`);
+        }
+        return `$S${name}`;
+      }
+      case 'function':
+        if (isClientReference(value)) {
+          return `$L${clientReferenceRow(value)}`;
+        }
+        if (isServerAction(value)) {
+          return `$h${value.$$id}`;
+        }
+        throw new Error(
+          `Functions can't be serialized (found ${value.name || 'an anonymous function'} at ${describePath(path)}). ` +
+          'Only client references and server actions can be passed.'
+        );
+    }
+
+    if (value === null) {
+      return null;
+    }
+
+    if (ancestors.has(value)) {
+      throw new Error(`Circular reference at ${describePath(path)}`);
+    }
+    ancestors.add(value);
+
+    try {
+      if (value.$$typeof === REACT_ELEMENT_TYPE) {
+        return await encodeElement(value, path, ancestors);
+      }
+
+      if (typeof value.then === 'function') {
+        const id = reserveRow();
+        try {
+          const resolved = await value;
+          rows[id] = JSON.stringify(await encodeValue(resolved, [...path, '(resolved)'], ancestors));
+        } catch (error) {
+          if (isPostpone(error)) {
+            throw error;
+          }
+          rows[id] = `E${JSON.stringify({ message: error?.message ?? String(error) })}`;
+        }
+        return `$@${id}`;
+      }
+
+      if (value instanceof Date) {
+        return `$D${value.toISOString()}`;
+      }
+
+      if (value instanceof Map || value instanceof Set) {
+        const id = reserveRow();
+        const items = [];
+        let index = 0;
+        for (const item of value) {
+          items.push(await encodeValue(item, [...path, `[${index++}]`], ancestors));
+        }
+        rows[id] = JSON.stringify(items);
+        return value instanceof Map ? `$Q${id}` : `$W${id}`;
+      }
+
+      if (Array.isArray(value)) {
+        const items = [];
+        for (let i = 0; i < value.length; i++) {
+          items.push(await encodeValue(value[i], [...path, `[${i}]`], ancestors));
+        }
+        return items;
+      }
+
+      const proto = Object.getPrototypeOf(value);
+      if (proto !== Object.prototype && proto !== null) {
+        throw new Error(
+          `Only plain objects can be serialized (found an instance of ${value.constructor?.name ?? 'a class'} at ${describePath(path)})`
+        );
+      }
+
+      const encoded = {};
+      for (const [key, item] of Object.entries(value)) {
+        encoded[key] = await encodeValue(item, [...path, `.${key}`], ancestors);
+      }
+      return encoded;
+    } finally {
+      ancestors.delete(value);
+    }
+  }
+
+  const root = reserveRow();
+  try {
+    rows[root] = JSON.stringify(await encodeValue(value, [], new Set()));
+  } catch (error) {
+    // Postponed outside any Suspense boundary - the whole tree is a hole
+    if (holes === null || !isPostpone(error)) {
+      throw error;
+    }
+    rows.length = 1;
+    rows[root] = JSON.stringify(`$P${holes.push([]) - 1}`);
+  }
+
+  return rows.map((row, id) => `${id}:${row}`).join('\n');
+}
+
+/**
+ * Encode what's in the holes of a tree encoded with the `holes` option
+ *
+ * Only the components on the way to a hole and the ones in it are
+ * rendered. Run it where the holes can render - in a request store.
+ * Holes are encoded side by side, like React renders Suspense boundaries:
+ * a slow one doesn't hold up the others.
+ *
+ * @param {*} value - The same tree
+ * @param {Array<string[]>} holes - The paths encodeFlight() collected
+ * @param {object} [options]
+ * @param {Function} [options.onPayload] - Called with (index, payload) as
+ *   each hole finishes, in whatever order they finish
+ * @param {Function} [options.onError] - Called with (index, error) for a
+ *   hole that fails - its payload stays null and the others go on.
+ *   Without it, the first failure rejects.
+ * @returns {Promise<Array<string|null>>} One payload per hole, in order
+ */
+export async function encodeFlightHoles(value, holes, { onPayload = null, onError = null } = {}) {
+  const payloads = new Array(holes.length).fill(null);
+  const pending = [];
+  await encodeFlight(value, {
+    visit: holes,
+    onHole(index, content) {
+      const encoded = encodeFlight(content).then(payload => {
+        payloads[index] = payload;
+        onPayload?.(index, payload);
+      });
+      pending.push(onError ? encoded.catch(error => onError(index, error)) : encoded);
+    },
+  });
+  await Promise.all(pending);
+  return payloads;
+}
+
+/**
+ * A promise React can read without suspending (like React's own decoded
+ * thenables, it carries its status)
+ */
+function settledPromise(status, valueOrReason) {
+  const promise = status === 'fulfilled'
+    ? Promise.resolve(valueOrReason)
+    : Promise.reject(valueOrReason);
+  if (status === 'fulfilled') {
+    promise.value = valueOrReason;
+  } else {
+    promise.reason = valueOrReason;
+    // Rejections are for whoever renders it - don't crash the process
+    promise.catch(() => {});
+  }
+  promise.status = status;
+  return promise;
+}
+
+/**
+ * Split a payload into its rows (row id → raw row)
+ */
+function readRows(payload) {
+  const rows = new Map();
+  for (const line of payload.split('\n')) {
+    const separator = line.indexOf(':');
+    rows.set(Number(line.slice(0, separator)), line.slice(separator + 1));
+  }
+  return rows;
+}
+
+/**
+ * The IDs of the client references a payload imports
+ *
+ * Decoding is synchronous, so whoever decodes a payload in the browser
+ * loads these modules first.
+ */
+export function listClientReferences(payload) {
+  return Array.from(readRows(payload).values())
+    .filter(row => row.startsWith('I'))
+    .map(row => JSON.parse(row.slice(1)).id);
+}
+
+/**
+ * Decode a Flight payload back into a value
+ *
+ * Elements are recreated with React.createElement(), client references
+ * resolved through the registry and promises come back already settled.
+ *
+ * @param {string} payload - From encodeFlight()
+ * @param {object} [options]
+ * @param {Array} [options.holes] - What goes in each `$P<n>` hole
+ * @param {Function} [options.resolveServerAction] - Server action ID →
+ *   function (the browser has no registry - see hydration.js)
+ * @param {Function} [options.resolveClientReference] - Client reference
+ *   ID → component (the browser imports them - see client/entry.js)
+ */
+export function decodeFlight(payload, {
+  holes = [],
+  resolveServerAction = getServerAction,
+  resolveClientReference = resolveRegisteredClientReference,
+} = {}) {
+  const rawRows = readRows(payload);
+
+  function readRow(id) {
+    const raw = rawRows.get(id);
+    if (raw === undefined) {
+      throw new Error(`Flight payload is missing row ${id}`);
+    }
+    return raw;
+  }
+
+  function decodeString(value) {
+    if (!value.startsWith('$')) {
+      return value;
+    }
+
+    const rest = value.slice(2);
+    switch (value[1]) {
+      case '$': return value.slice(1);
+      case 'S': return Symbol.for(value.slice(2));
+      case 'L': {
+        const row = readRow(Number(rest));
+        return resolveClientReference(JSON.parse(row.slice(1)).id);
+      }
+      case 'P': {
+        const hole = Number(rest);
+        if (!(hole in holes)) {
+          throw new Error(`Flight payload hole ${hole} wasn't filled`);
+        }
+        return holes[hole];
+      }
+      case 'h': {
+        const action = resolveServerAction(rest);
+        if (!action) {
+          throw new Error(`Unknown server action "${rest}" in Flight payload`);
+        }
+        return action;
+      }
+      case '@': {
+        const row = readRow(Number(rest));
+        if (row.startsWith('E')) {
+          return settledPromise('rejected', new Error(JSON.parse(row.slice(1)).message));
+        }
+        return settledPromise('fulfilled', decodeValue(JSON.parse(row)));
+      }
+      case 'D': return new Date(value.slice(2));
+      case 'Q': return new Map(decodeValue(JSON.parse(readRow(Number(rest)))));
+      case 'W': return new Set(decodeValue(JSON.parse(readRow(Number(rest)))));
+      case 'n': return BigInt(value.slice(2));
+    }
+
+    switch (value) {
+      case '$undefined': return undefined;
+      case '$NaN': return NaN;
+      case '$Infinity': return Infinity;
+      case '$-Infinity': return -Infinity;
+      case '$-0': return -0;
+    }
+
+    throw new Error(`Unknown Flight tag "${value}"`);
+  }
+
+  function decodeValue(value) {
+    if (typeof value === 'string') {
+      return decodeString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      // A real "$" string would have been escaped to "$$"
+      if (value[0] === '$' && value.length === 4) {
+        const [, type, key, props] = value;
+        const decodedProps = decodeValue(props);
+        return React.createElement(
+          decodeValue(type),
+          key === null ? decodedProps : { ...decodedProps, key }
+        );
+      }
+      return value.map(decodeValue);
+    }
+
+    const decoded = {};
+    for (const [key, item] of Object.entries(value)) {
+      decoded[key] = decodeValue(item);
+    }
+    return decoded;
+  }
+
+  return decodeValue(JSON.parse(readRow(0)));
+}
@@ -0,0 +1,203 @@
+/**
+ * =============================================================================
+ * HTTP CACHING - ETags, 304s and Cache-Control for Prerendered Pages
+ * =============================================================================
+ *
+ * What a browser or CDN may keep depends on what kind of page it is:
+ *
+ *   FULLY STATIC   The response is the prerendered shell - the same bytes
+ *                  for everyone until the page is rebuilt. It gets:
+ *                  - ETag: a hash of the shell and its hydration payload,
+ *                    computed when the page is prerendered (build,
+ *                    regeneration or on demand) and kept in its metadata
+ *                    (an RSC prelude's is a hash of the prelude, made the
+ *                    same way - see contentHash())
+ *                  - Last-Modified: when it was prerendered
+ *                  - Cache-Control for browsers (PPR_CACHE_CONTROL, by
+ *                    default "public, max-age=0, must-revalidate": always
+ *                    ask, usually get a 304)
+ *                  - CDN-Cache-Control for shared caches
+ *                    (PPR_CDN_CACHE_CONTROL, by default a short max-age
+ *                    from the shell's cacheLife - see cdnCacheControl())
+ *                  - Vary: Cookie while draft mode is enabled, so a CDN
+ *                    doesn't answer a draft request with the shell
+ *
+ *   PPR            The static shell is shared, but the holes streamed
+ *                  after it are rendered for this user. The response as a
+ *                  whole is `private, no-cache` - no shared cache may
+ *                  store it - with Vary naming the request headers the
+ *                  holes read (Cookie for cookies(), ...).
+ *
+ *   DRAFT MODE     `private, no-store` (see server.js).
+ *
+ * A request whose If-None-Match (or, without one, If-Modified-Since)
+ * matches a static page gets `304 Not Modified` and no body.
+ */
+
+import { createHash } from 'node:crypto';
+import { isShellStale } from './manifest.js';
+import { isDraftModeEnabled } from './draft-mode.js';
+
+const STATIC_CACHE_CONTROL = process.env.PPR_CACHE_CONTROL || 'public, max-age=0, must-revalidate';
+
+// Unset: derived from each shell's cacheLife
+const STATIC_CDN_CACHE_CONTROL = process.env.PPR_CDN_CACHE_CONTROL || null;
+
+const DYNAMIC_CACHE_CONTROL = 'private, no-cache';
+
+// revalidateTag()/revalidatePath() can't purge a CDN - how long a CDN
+// keeps a shell before asking again is how long a revalidated one can
+// stay at the edge. A longer lifetime is opt-in (PPR_CDN_CACHE_CONTROL,
+// for a CDN that's purged some other way).
+const CDN_MAX_AGE_SECONDS = 60;
+
+// After that, the CDN may serve it while it asks in the background
+const CDN_STALE_SECONDS = 24 * 60 * 60;
+
+// Request headers the holes' dynamic APIs depend on. searchParams() and
+// params() are part of the URL, connection() and getCurrentTime() of no
+// header at all - `no-cache` covers those.
+const VARY_BY_EXPRESSION = [
+  [/^cookies\(\)$/, 'Cookie'],
+  // Private cache entries belong to a user, who's identified by a cookie
+  [/scope: 'private'/, 'Cookie'],
+  // Any header could have been read
+  [/^headers\(\)$/, '*'],
+];
+
+/**
+ * Identify content by a hash of its parts (prelude ids, ETags)
+ *
+ * @param {...string} parts
+ */
+export function contentHash(...parts) {
+  const hash = createHash('sha1');
+  for (const part of parts) {
+    hash.update(part).update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * A strong ETag for a prerendered response, from its content
+ *
+ * @param {...string} parts - What the response is made of
+ */
+export function computeEtag(...parts) {
+  return `"${contentHash(...parts)}"`;
+}
+
+/**
+ * Does the client already have this version? (If-None-Match wins over
+ * If-Modified-Since, like RFC 9110 says)
+ *
+ * @param {object} req - Express request
+ * @param {object} validators
+ * @param {string} validators.etag
+ * @param {string} [validators.lastModified] - ISO date
+ */
+export function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => strip(tag) === etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] ?? '');
+  if (lastModified && !Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have whole seconds
+    return Math.floor(Date.parse(lastModified) / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+}
+
+/**
+ * How long a CDN may serve a shell: until its cacheLife `revalidate` (at
+ * most CDN_MAX_AGE_SECONDS), then stale while it revalidates - until
+ * `expire`, or CDN_STALE_SECONDS
+ *
+ *   revalidate in 30s, expire in 1h  → public, max-age=30, stale-while-revalidate=3570
+ *   no cacheLife                     → public, max-age=60, stale-while-revalidate=86400
+ *   stale already (tag revalidated)  → public, max-age=0, ...
+ *
+ * @param {object} page - A manifest entry or page metadata
+ */
+export function cdnCacheControl(page, now = Date.now()) {
+  if (STATIC_CDN_CACHE_CONTROL) {
+    return STATIC_CDN_CACHE_CONTROL;
+  }
+
+  const revalidateAt = page.revalidateAt ? Date.parse(page.revalidateAt) : null;
+  let maxAge = CDN_MAX_AGE_SECONDS;
+  if (isShellStale(page, now)) {
+    maxAge = 0;
+  } else if (revalidateAt !== null) {
+    maxAge = Math.min(maxAge, Math.max(0, Math.floor((revalidateAt - now) / 1000)));
+  }
+
+  let staleSeconds = CDN_STALE_SECONDS;
+  if (page.expireAt) {
+    const staleFrom = now + maxAge * 1000;
+    staleSeconds = Math.min(staleSeconds, Math.max(0, Math.floor((Date.parse(page.expireAt) - staleFrom) / 1000)));
+  }
+  return `public, max-age=${maxAge}, stale-while-revalidate=${staleSeconds}`;
+}
+
+/**
+ * Headers for a response everyone gets the same bytes of
+ *
+ * @param {object} res - Express response
+ * @param {object} page - A manifest entry or page metadata
+ * @param {object} validators - { etag, lastModified }
+ */
+export function setStaticCacheHeaders(res, page, { etag, lastModified }) {
+  res.setHeader('Cache-Control', STATIC_CACHE_CONTROL);
+  res.setHeader('CDN-Cache-Control', cdnCacheControl(page));
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  // Draft requests get a full render instead (see draft-mode.js) - the
+  // draft cookie has to reach the server
+  if (isDraftModeEnabled()) {
+    res.setHeader('Vary', 'Cookie');
+  }
+}
+
+/**
+ * Which request headers does a page's dynamic content depend on?
+ *
+ * @param {object|null} page - Page metadata (null: unknown)
+ * @returns {string[]}
+ */
+export function varyHeaders(page) {
+  const vary = new Set();
+  for (const { expression } of page?.dynamicAccesses ?? []) {
+    for (const [pattern, header] of VARY_BY_EXPRESSION) {
+      if (pattern.test(expression)) {
+        vary.add(header);
+      }
+    }
+  }
+  return vary.has('*') ? ['*'] : [...vary];
+}
+
+/**
+ * Headers for a response with per-request content (the holes)
+ *
+ * Leaves a Cache-Control that's already set alone - draft mode's
+ * `no-store` is stricter.
+ *
+ * @param {object} res - Express response
+ * @param {object|null} page - Page metadata
+ */
+export function setDynamicCacheHeaders(res, page) {
+  if (!res.hasHeader('Cache-Control')) {
+    res.setHeader('Cache-Control', DYNAMIC_CACHE_CONTROL);
+  }
+  const vary = varyHeaders(page);
+  if (vary.length > 0) {
+    res.setHeader('Vary', vary.join(', '));
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * =============================================================================
+ * HYDRATION - Making the Prerendered Page Interactive
+ * =============================================================================
+ *
+ * The shell and the resumed holes are plain HTML. To attach event handlers
+ * and state, the browser has to render the same tree with React and
+ * hydrateRoot() it onto that HTML (see client/entry.js).
+ *
+ * The browser can't run our components - they're async, read cookies and
+ * the cache. What it gets instead is the tree they RENDERED, as a Flight
+ * payload (see flight.js): host elements, Suspense boundaries, client
+ * references and server actions.
+ *
+ * WHERE THE PAYLOAD COMES FROM:
+ * -----------------------------
+ *   BUILD TIME    The page is encoded in the final prerender's store, right
+ *                 after the shell - so memoized values (the shell's time,
+ *                 the current user) are the same as in the HTML. Whatever
+ *                 postpones becomes a hole, recorded by its place in the
+ *                 tree, and the payload is saved next to the shell.
+ *
+ *   REQUEST TIME  After resume has streamed the holes, the same request
+ *                 store encodes what's in them - the props and data the
+ *                 resumed components rendered with - one payload per hole.
+ *                 Only the way to the holes is walked again, never the
+ *                 static parts.
+ *
+ * Both go out in one <script type="application/json"> just before
+ * </body>, followed by the client entry that hydrates from it. The client
+ * decodes the holes, puts them in their places and hydrates the whole
+ * document.
+ *
+ * WHEN ENCODING FAILS:
+ * --------------------
+ * Resume has already sent the holes' HTML, so a failure can't change the
+ * response anymore - but the page mustn't end up without JavaScript
+ * either. What couldn't be encoded goes out as null (a hole, or the whole
+ * payload), and the client fetches it from the route's RSC payload (see
+ * rsc-payload.js) and renders those parts itself.
+ *
+ * The entry's <script> isn't part of the React tree (Layout.js) on
+ * purpose: the import map React writes at the top of <head> is a <script>
+ * too, and hydration would try to match one against the other.
+ */
+
+import { Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+import { encodeFlight, encodeFlightHoles } from './flight.js';
+import { CLIENT_ENTRY_URL } from './client-bundle.js';
+
+// The <script> the client reads the payload from (see client/entry.js)
+const HYDRATION_DATA_ID = '__PPR_DATA__';
+
+const DOCUMENT_END = '</body></html>';
+
+/**
+ * Encode a page for hydration, leaving holes where it postpones
+ *
+ * Run it in the store the shell was prerendered in.
+ *
+ * @param {object} element - The route element the shell was rendered from
+ * @returns {Promise<{ payload: string, holes: Array<string[]> }>} holes
+ *   are where the postponed parts are, for encodeHydrationHoles()
+ */
+export async function encodeHydrationPayload(element) {
+  const holes = [];
+  const payload = await encodeFlight(element, { holes });
+  return { payload, holes };
+}
+
+/**
+ * Encode what's in a page's holes - run it in the request store
+ *
+ * @param {object} [options] - { onPayload } to get each hole as soon as
+ *   it's encoded (see encodeFlightHoles())
+ * @returns {Promise<string[]>} One Flight payload per hole
+ */
+export function encodeHoleContents(element, holes, options) {
+  return encodeFlightHoles(element, holes, options);
+}
+
+/**
+ * Encode what's in a page's holes for its hydration <script>
+ *
+ * Never fails - a hole that can't be encoded is null, and the client
+ * fetches it instead.
+ *
+ * @returns {Promise<Array<string|null>>} One Flight payload per hole
+ */
+export async function encodeHydrationHoles(element, holes) {
+  try {
+    return await encodeFlightHoles(element, holes, {
+      onError(index, error) {
+        console.error(`   ❌ Hydration payload of hole ${index} failed - the client will fetch it:`, error);
+      },
+    });
+  } catch (error) {
+    console.error('   ❌ Hydration payload of the holes failed - the client will fetch them:', error);
+    return holes.map(() => null);
+  }
+}
+
+/**
+ * The <script> carrying a page's payload and its holes' payloads, and the
+ * client entry that reads it
+ *
+ * @param {string|null} payload - From encodeHydrationPayload() (null: the
+ *   client fetches it)
+ * @param {Array<string|null>} holes - From encodeHydrationHoles()
+ */
+export function hydrationScript(payload, holes) {
+  // Inside <script>, "</script>" or "<!--" would end it early
+  const json = JSON.stringify({ payload, holes }).replace(/</g, '\\u003c');
+  return `<script id="${HYDRATION_DATA_ID}" type="application/json">${json}</script>` +
+    `<script type="module" src="${CLIENT_ENTRY_URL}"></script>`;
+}
+
+/**
+ * Put the hydration <script> into a complete document
+ */
+export function insertBeforeDocumentEnd(html, script) {
+  return html.endsWith(DOCUMENT_END)
+    ? html.slice(0, -DOCUMENT_END.length) + script + DOCUMENT_END
+    : html + script;
+}
+
+/**
+ * A stream for React's output that adds the hydration <script> at the end
+ *
+ * Everything passes straight through, except a trailing "</body></html>":
+ * when React is done, getScript() runs (it may render the holes) and the
+ * script goes in before it. Nothing else is held back - a <script> that
+ * reveals a Suspense boundary still runs as soon as it arrives.
+ *
+ * @param {Function} getScript - async () => string
+ */
+export function createHydrationStream(getScript) {
+  const decoder = new StringDecoder('utf-8');
+  let held = '';
+
+  // The longest end of `text` that could be the start of DOCUMENT_END
+  function heldLength(text) {
+    for (let length = Math.min(text.length, DOCUMENT_END.length); length > 0; length--) {
+      if (DOCUMENT_END.startsWith(text.slice(-length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const text = held + decoder.write(chunk);
+      const length = heldLength(text);
+      held = text.slice(text.length - length);
+      callback(null, text.slice(0, text.length - length));
+    },
+
+    flush(callback) {
+      const rest = held + decoder.end();
+      getScript().then(
+        script => callback(null, insertBeforeDocumentEnd(rest, script)),
+        error => {
+          // The client fetches the payload instead
+          console.error('   ❌ Hydration payload failed - the client will fetch it:', error);
+          callback(null, insertBeforeDocumentEnd(rest, hydrationScript(null, [])));
+        }
+      );
+    },
+  });
+}
@@ -0,0 +1,244 @@
+/**
+ * =============================================================================
+ * BUILD MANIFEST - Where Each Route's Prerendered Artifacts Live
+ * =============================================================================
+ *
+ * The build prerenders every route separately, so each one gets its own
+ * static shell, postponed state and metadata:
+ *
+ *   dist/
+ *     manifest.json              ← route path → artifact directory
+ *     client-manifest.json       ← 'use client' modules per route (see client-manifest.js)
+ *     cache/                     ← shared cache entries (filesystem cache handler)
+ *     routes/
+ *       index/                   ← /
+ *         shell.html
+ *         postponed.json         (only if the route has dynamic holes)
+ *         hydration.json         (the client's payload - see hydration.js)
+ *         metadata.json
+ *       about/                   ← /about
+ *         ...
+ *       products/1/              ← /products/1 (one per generateStaticParams entry)
+ *         ...
+ *
+ * The server never guesses file names - it looks the route up in
+ * manifest.json and reads the artifacts from the directory listed there.
+ *
+ * That indirection is what makes runtime regeneration safe (see
+ * regenerate.js): a new shell is written to its own directory, e.g.
+ * routes/index@1718000000000/, and only then does the manifest entry
+ * switch over to it.
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, renameSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const DIST_DIR = './dist';
+const MANIFEST_FILE = join(DIST_DIR, 'manifest.json');
+const CLIENT_MANIFEST_FILE = join(DIST_DIR, 'client-manifest.json');
+const ROUTES_DIR = join(DIST_DIR, 'routes');
+
+// Artifact directory → { etag, artifacts }, so a request doesn't read the
+// shell from disk again. Regeneration writes to a new directory and a
+// rebuild changes the entry's etag, so neither can be served stale.
+const artifactCache = new Map();
+
+/**
+ * Map a route path to its artifact directory (relative to dist/routes)
+ *
+ *   /            → index
+ *   /about       → about
+ *   /products/1  → products/1
+ */
+export function routeArtifactDir(routePath) {
+  return routePath === '/' ? 'index' : routePath.slice(1);
+}
+
+/**
+ * The artifact directory for a runtime regeneration of a route
+ *
+ *   /products/1, 1718000000000 → products/1@1718000000000
+ */
+export function regeneratedArtifactDir(routePath, generation) {
+  return `${routeArtifactDir(routePath)}@${generation}`;
+}
+
+/**
+ * Write one route's shell, postponed state, hydration payload and metadata
+ *
+ * @param {string} routePath
+ * @param {object} artifacts - { html, postponed, hydration, metadata }
+ * @param {object} [options]
+ * @param {string} [options.dir] - Where to write them (relative to
+ *   dist/routes); defaults to routeArtifactDir(routePath)
+ * @returns {object} The manifest entry for this route
+ */
+export function writeRouteArtifacts(routePath, { html, postponed, hydration, metadata }, { dir = routeArtifactDir(routePath) } = {}) {
+  const fullDir = join(ROUTES_DIR, dir);
+  mkdirSync(fullDir, { recursive: true });
+
+  writeFileSync(join(fullDir, 'shell.html'), html, 'utf-8');
+  writeFileSync(join(fullDir, 'hydration.json'), JSON.stringify(hydration), 'utf-8');
+  writeFileSync(join(fullDir, 'metadata.json'), JSON.stringify(metadata, null, 2), 'utf-8');
+  if (postponed) {
+    writeFileSync(join(fullDir, 'postponed.json'), JSON.stringify(postponed), 'utf-8');
+  }
+
+  return {
+    dir,
+    route: metadata.route,
+    params: metadata.params,
+    hasDynamicContent: metadata.hasDynamicContent,
+    hasPostponedState: metadata.hasPostponedState,
+    dynamicAccesses: metadata.dynamicAccesses.map(({ expression, component, boundary }) => ({
+      expression,
+      component,
+      boundary,
+    })),
+    // Cache tags the shell depends on - see markStaleRoutes()
+    tags: metadata.tags,
+    // Cache entries the shell read - see revalidatePath()
+    cacheKeys: metadata.cacheKeys ?? [],
+    // Set by revalidateTag()/revalidatePath() until the page is regenerated
+    stale: false,
+    // cacheLife deadlines of the data in the shell (ISO strings, null = never)
+    revalidateAt: metadata.revalidateAt,
+    expireAt: metadata.expireAt,
+    // HTTP validators for the shell (see http-cache.js)
+    etag: metadata.etag,
+    buildTime: metadata.buildTime,
+  };
+}
+
+/**
+ * Delete one artifact directory (relative to dist/routes)
+ */
+export function removeRouteArtifacts(dir) {
+  artifactCache.delete(dir);
+  rmSync(join(ROUTES_DIR, dir), { recursive: true, force: true });
+}
+
+/**
+ * Delete every route's artifacts (a build starts from scratch)
+ */
+export function clearRouteArtifacts() {
+  artifactCache.clear();
+  rmSync(ROUTES_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Write dist/manifest.json
+ *
+ * Written to a temporary file and renamed into place, so a reader never
+ * sees a half-written manifest.
+ */
+export function writeManifest(manifest) {
+  const tempFile = `${MANIFEST_FILE}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(manifest, null, 2), 'utf-8');
+  renameSync(tempFile, MANIFEST_FILE);
+}
+
+/**
+ * Load dist/manifest.json (null if the app hasn't been built)
+ */
+export function loadManifest() {
+  if (!existsSync(MANIFEST_FILE)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(MANIFEST_FILE, 'utf-8'));
+}
+
+/**
+ * Write dist/client-manifest.json
+ */
+export function writeClientManifest(clientManifest) {
+  writeFileSync(CLIENT_MANIFEST_FILE, JSON.stringify(clientManifest, null, 2), 'utf-8');
+}
+
+/**
+ * Load dist/client-manifest.json (null if the app hasn't been built)
+ */
+export function loadClientManifest() {
+  if (!existsSync(CLIENT_MANIFEST_FILE)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(CLIENT_MANIFEST_FILE, 'utf-8'));
+}
+
+/**
+ * Mark every route whose shell depends on one of the tags as stale
+ *
+ * @returns {string[]} The paths that were marked
+ */
+export function markStaleRoutes(manifest, tags) {
+  const paths = [];
+  for (const [path, entry] of Object.entries(manifest.routes)) {
+    if (entry.tags?.some(tag => tags.includes(tag))) {
+      entry.stale = true;
+      paths.push(path);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Should a shell be regenerated? (It can still be served meanwhile.)
+ *
+ * True once it's been revalidated by tag or path, or once the data in it
+ * is past its cacheLife `revalidate`.
+ *
+ * @param {object} page - A manifest entry or page metadata
+ */
+export function isShellStale(page, now = Date.now()) {
+  return Boolean(page.stale) || (Boolean(page.revalidateAt) && Date.parse(page.revalidateAt) <= now);
+}
+
+/**
+ * Has the data in a shell outlived its cacheLife `expire`?
+ *
+ * @param {object} page - A manifest entry or page metadata
+ */
+export function isShellExpired(page, now = Date.now()) {
+  return Boolean(page.expireAt) && Date.parse(page.expireAt) <= now;
+}
+
+/**
+ * Read the artifacts for one manifest entry
+ *
+ * Kept in memory after the first read (entries from builds without an
+ * etag are read every time), so every request gets the same objects -
+ * don't modify them.
+ */
+export function readRouteArtifacts(entry) {
+  const cached = artifactCache.get(entry.dir);
+  if (entry.etag && cached?.etag === entry.etag) {
+    return cached.artifacts;
+  }
+
+  const fullDir = join(ROUTES_DIR, entry.dir);
+  const metadata = JSON.parse(readFileSync(join(fullDir, 'metadata.json'), 'utf-8'));
+
+  let postponedState = null;
+  const postponedFile = join(fullDir, 'postponed.json');
+  if (metadata.hasPostponedState && existsSync(postponedFile)) {
+    postponedState = JSON.parse(readFileSync(postponedFile, 'utf-8'));
+  }
+
+  // Shells built before hydration existed have none - they stay static
+  let hydration = null;
+  const hydrationFile = join(fullDir, 'hydration.json');
+  if (existsSync(hydrationFile)) {
+    hydration = JSON.parse(readFileSync(hydrationFile, 'utf-8'));
+  }
+
+  const artifacts = {
+    metadata,
+    postponedState,
+    hydration,
+    shellHtml: readFileSync(join(fullDir, 'shell.html'), 'utf-8'),
+  };
+  if (entry.etag) {
+    artifactCache.set(entry.dir, { etag: entry.etag, artifacts });
+  }
+  return artifacts;
+}
@@ -0,0 +1,67 @@
+/**
+ * =============================================================================
+ * MEMO - Deduplicating Calls Within One Render
+ * =============================================================================
+ *
+ * This is a simplified version of React's cache() for server components.
+ *
+ * cached() stores results for EVERYONE, across requests - fine for the
+ * product catalog, wrong for anything that depends on who is asking. But
+ * without it, two components that need the current user each look it up:
+ *
+ *   UserGreeting    → getCurrentUser() → session lookup
+ *   SessionControls → getCurrentUser() → session lookup again
+ *
+ * memo(fn) shares the result for the rest of the render instead:
+ *
+ *   export const getCurrentUser = memo(async function getCurrentUser() { ... });
+ *
+ * Results are kept on the render's store (see async-storage.js) - one per
+ * request, one per prerender phase - so they're dropped with it and can
+ * never reach another user. Outside a render nothing is memoized.
+ *
+ * Calls are matched by their arguments, hashed like cached() arguments
+ * (see cache-keys.js). An async function's PROMISE is what's shared, so
+ * concurrent callers wait for the same call - and share its failure too.
+ */
+
+import { renderStorage } from './async-storage.js';
+import { hashCacheArguments } from './cache-keys.js';
+
+/**
+ * Memoize a function for the duration of each render
+ *
+ * @param {Function} fn
+ * @returns {Function} Takes the same arguments, returns the same result
+ */
+export function memo(fn) {
+  const name = `memo(${fn.name || 'anonymous'})`;
+
+  return function memoized(...args) {
+    const store = renderStorage.getStore();
+    if (!store) {
+      return fn(...args);
+    }
+
+    let results = store.memoCache.get(fn);
+    if (!results) {
+      results = new Map();
+      store.memoCache.set(fn, results);
+    }
+
+    const key = hashCacheArguments(name, args);
+    if (!results.has(key)) {
+      try {
+        results.set(key, { value: fn(...args) });
+      } catch (error) {
+        results.set(key, { error });
+      }
+    }
+
+    const result = results.get(key);
+    if ('error' in result) {
+      throw result.error;
+    }
+    return result.value;
+  };
+}
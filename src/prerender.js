@@ -0,0 +1,386 @@
+/**
+ * =============================================================================
+ * PRERENDER - The Two-Phase Render for a Single Route
+ * =============================================================================
+ *
+ * This is the heart of the build (see build.js for the full story):
+ *
+ *   PHASE 1 (Prospective): render to discover and fill caches, discard output
+ *   PHASE 2 (Final):       render again with warm caches, keep the shell
+ *
+ * It lives in its own module because the build is not the only caller -
+ * the server also prerenders dynamic routes on demand when a request asks
+ * for params that weren't enumerated at build time.
+ */
+
+import React from 'react';
+
+// Import the static prerender API
+import { prerenderToNodeStream } from 'react-dom/static';
+
+import { renderStorage, createPrerenderStore } from './async-storage.js';
+import { buildRoutePath } from './router.js';
+import { encodeHydrationPayload } from './hydration.js';
+import { IMPORT_MAP, withClientModulePreloads } from './client-bundle.js';
+import { computeEtag } from './http-cache.js';
+
+// Import the cache module
+import { getCacheStats, getPathTag } from './cache.js';
+
+/**
+ * Parse a React component stack into component names (innermost first)
+ *
+ *   "\n    at UserGreeting (file:///...)\n    at Suspense (<anonymous>)..."
+ *   → ['UserGreeting', 'Suspense', ...]
+ */
+function parseComponentStack(componentStack) {
+  return Array.from(componentStack.matchAll(/^\s*at (\S+)/gm), match => match[1]);
+}
+
+/**
+ * Attribute a postpone to its component and Suspense boundary
+ *
+ * React calls onPostpone() with the reason we passed to unstable_postpone()
+ * and the component stack of the throw. We match the reason back to the
+ * dynamic access recorded by postpone() and note:
+ * - component: the component that called the dynamic API
+ * - boundary:  the nearest <Suspense> and the components above it,
+ *              e.g. "App > Layout > Suspense"
+ */
+function recordPostponedBoundary(prerenderStore, reason, componentStack) {
+  const frames = parseComponentStack(componentStack || '');
+  const suspenseIndex = frames.indexOf('Suspense');
+
+  // Host elements (div, main, ...) start lowercase - leave them out
+  const owners = frames
+    .slice(suspenseIndex === -1 ? 0 : suspenseIndex)
+    .filter(name => /^[A-Z]/.test(name))
+    .reverse();
+
+  const access = prerenderStore.dynamicAccesses.find(
+    a => a.reason === reason && a.boundary === null
+  );
+  if (access) {
+    access.component = frames[0] || null;
+    access.boundary = suspenseIndex === -1 ? '(root)' : owners.join(' > ');
+  }
+}
+
+/**
+ * Perform a React prerender and return the result
+ *
+ * WHEN TO ABORT:
+ * --------------
+ * Aborting turns everything still pending into a postponed hole, so the
+ * moment we abort decides what's in the shell. A fixed timer would make
+ * that depend on the machine: too short on a slow CI box and cached
+ * components miss the window, needlessly long on a fast one.
+ *
+ * Instead the abort is staged on the render's own CacheSignal:
+ * 1. React renders; cache hits resolve and ping their tasks, which React
+ *    renders again in microtasks
+ * 2. cacheReady() resolves once no cache read is pending for a full trip
+ *    around the event loop (setImmediate → setTimeout(0)) - by then every
+ *    microtask React queued has run
+ * 3. Only then do we abort: what's left is waiting on something that
+ *    isn't cached (or was postponed on purpose)
+ *
+ * No timing is involved, so every machine produces the same shell.
+ */
+async function performPrerender(element, prerenderStore, options = {}) {
+  const { phase = 'unknown' } = options;
+
+  const controller = new AbortController();
+  const chunks = [];
+
+  const resultPromise = renderStorage.run(prerenderStore, async () => {
+    const pendingResult = prerenderToNodeStream(
+      element,
+      {
+        signal: controller.signal,
+        importMap: IMPORT_MAP,
+        onError(error) {
+          if (!error.message?.includes('abort')) {
+            console.error(`   ❌ [${phase}] Render error:`, error.message);
+          }
+        },
+        onPostpone(reason, postponeInfo) {
+          recordPostponedBoundary(prerenderStore, reason, postponeInfo?.componentStack);
+        }
+      }
+    );
+
+    // Let cache reads (and the work they unblock) settle, then abort
+    await prerenderStore.cacheSignal.cacheReady();
+
+    console.log(`   ⏱️  [${phase}] Cache reads settled - aborting prerender...`);
+    controller.abort(`${phase} complete`);
+
+    const result = await pendingResult;
+
+    // Read the prelude stream
+    for await (const chunk of result.prelude) {
+      chunks.push(chunk);
+    }
+
+    return {
+      html: Buffer.concat(chunks).toString('utf-8'),
+      postponed: result.postponed
+    };
+  });
+
+  return resultPromise;
+}
+
+/**
+ * Explain final-render cache misses
+ *
+ * A miss in the final render means the key changed between the two
+ * renders - usually an argument like Date.now() or Math.random(). Next to
+ * each miss we list the keys the prospective render filled for the same
+ * function, with their arguments, so the difference is visible.
+ *
+ * @returns {Array<{ name, key, args, filled: Array<{ key, args }>, callerStack }>}
+ */
+function describeCacheMisses(prospectiveStore, finalStore) {
+  return finalStore.cacheMisses.map(({ name, key, callerStack }) => ({
+    name,
+    key,
+    args: finalStore.cacheReads.get(key)?.args ?? null,
+    filled: Array.from(prospectiveStore.cacheReads)
+      .filter(([, read]) => read.name === name)
+      .map(([filledKey, read]) => ({ key: filledKey, args: read.args })),
+    callerStack,
+  }));
+}
+
+/**
+ * Check that the final render read everything the prospective render
+ * cached
+ *
+ * An entry the prospective render filled but the final render never
+ * finished reading was cut off by the abort - it became a hole in the
+ * shell instead of content. That happens when a cached function is only
+ * reached after uncached async work (which the final render doesn't wait
+ * for), and it would make the shell differ from run to run.
+ *
+ * Functions that missed in the final render are left out: their key
+ * changed, so the old one is never read again (see describeCacheMisses()).
+ */
+function verifyFinalRender(pathname, prospectiveStore, finalStore) {
+  const finalReads = finalStore.cacheSignal.completedReads;
+  const missedNames = new Set(finalStore.cacheMisses.map(miss => miss.name));
+  const missing = [...prospectiveStore.cacheSignal.completedReads].filter(key =>
+    !finalReads.has(key) && !missedNames.has(prospectiveStore.cacheReads.get(key)?.name)
+  );
+
+  if (missing.length > 0 || finalStore.cacheSignal.pendingReads > 0) {
+    const names = missing.map(key => prospectiveStore.cacheReads.get(key)?.name ?? key);
+    throw new Error(
+      `The final render of ${pathname} postponed cached data the prospective render had filled ` +
+      `(${names.join(', ') || `${finalStore.cacheSignal.pendingReads} pending read(s)`}). ` +
+      'Make sure cached functions aren\'t called after uncached async work, or move that work ' +
+      'into a cached function too.'
+    );
+  }
+  console.log(`   ✅ Final render read all ${finalReads.size} cached entr${finalReads.size === 1 ? 'y' : 'ies'}`);
+}
+
+/**
+ * Prerender one route with the two-phase model
+ *
+ * Each phase has its own store, with its own render phase and cache
+ * signal, so prerenders can overlap: the server regenerates shells and
+ * prerenders on demand while serving requests.
+ *
+ * @param {object} route - A route from discoverRoutes()
+ * @param {object} [params] - Values for the route's dynamic segments
+ * @param {object} [options]
+ * @param {boolean} [options.staticParams] - false for the route's fallback
+ *   shell, served for params generateStaticParams() didn't list: params()
+ *   postpones, and the shell belongs to the route pattern (/products/:id),
+ *   not to a page
+ * @returns {Promise<{ html: string, postponed: object|null, hydration: object,
+ *   dynamicAccesses: Array, cacheMisses: Array, tags: string[], cacheKeys: string[],
+ *   revalidateAt: number, expireAt: number }>}
+ */
+export async function prerenderRoute(route, params = {}, { staticParams = true } = {}) {
+  // The server must resume with exactly this element (see server.js)
+  const element = withClientModulePreloads(route, React.createElement(route.Component, { params }));
+  const storeOptions = {
+    route: route.path,
+    pathname: staticParams ? buildRoutePath(route, params) : route.path,
+    params,
+    staticParams,
+  };
+
+  // =========================================================================
+  // PHASE 1: PROSPECTIVE RENDER (Cache Filling)
+  // =========================================================================
+  //
+  // This is like Next.js's "prospective render". We render the app to
+  // discover and fill all caches. The result of this render is discarded.
+  //
+  // =========================================================================
+
+  console.log('');
+  console.log('🔄 PHASE 1: Prospective Render (Cache Filling)');
+  console.log('='.repeat(50));
+  console.log('');
+
+  const prospectiveStore = createPrerenderStore({ ...storeOptions, phase: 'prospective' });
+  console.log(`   📍 Render phase: prospective (${storeOptions.pathname})`);
+
+  console.log('   Starting React prerender...');
+  console.log('   (Cached functions will execute during this render)');
+  console.log('');
+
+  // Start the prospective render - don't abort too quickly!
+  // We need to let cached functions complete.
+  const prospectiveController = new AbortController();
+
+  const prospectivePromise = renderStorage.run(prospectiveStore, async () => {
+    return prerenderToNodeStream(
+      element,
+      {
+        signal: prospectiveController.signal,
+        importMap: IMPORT_MAP,
+        onError(error) {
+          if (!error.message?.includes('abort')) {
+            console.error('   ❌ [Prospective] Error:', error.message);
+          }
+        }
+      }
+    );
+  });
+
+  // Wait for all caches to be filled (like cacheSignal.cacheReady())
+  console.log('   ⏳ Waiting for all caches to fill...');
+  await prospectiveStore.cacheSignal.cacheReady();
+  console.log('   ✅ All caches filled!');
+  console.log('');
+
+  // Now abort the prospective render - we don't need its output
+  prospectiveController.abort('Prospective render complete - caches filled');
+
+  // Consume the prospective result (we discard it)
+  try {
+    const prospectiveResult = await prospectivePromise;
+    for await (const _ of prospectiveResult.prelude) {
+      // Discard chunks
+    }
+  } catch (e) {
+    // Expected - we aborted
+  }
+
+  const cacheStats = await getCacheStats();
+  console.log(`   📊 Cache Statistics:`);
+  console.log(`      Entries: ${cacheStats.size}`);
+  cacheStats.entries.forEach(key => console.log(`      - ${key}`));
+  console.log('');
+
+  // =========================================================================
+  // PHASE 2: FINAL RENDER (Cache Reading)
+  // =========================================================================
+  //
+  // This is like Next.js's "final render". The cache is warm, so cached
+  // functions return instantly. This allows async components to complete
+  // within React's timing window.
+  //
+  // =========================================================================
+
+  console.log('');
+  console.log('🎯 PHASE 2: Final Render (Cache Reading)');
+  console.log('='.repeat(50));
+  console.log('');
+
+  // A new store - and with it a fresh cache signal - for the new render
+  const finalStore = createPrerenderStore({ ...storeOptions, phase: 'final' });
+  console.log(`   📍 Render phase: final (${storeOptions.pathname})`);
+
+  console.log('   Starting React prerender with warm cache...');
+  console.log('   (Cached functions will return instantly)');
+  console.log('');
+
+  const result = await performPrerender(element, finalStore, {
+    phase: 'Final'
+  });
+  verifyFinalRender(storeOptions.pathname, prospectiveStore, finalStore);
+
+  // What the browser hydrates with (see hydration.js) - encoded in the
+  // final store, so memoized values match the shell. Postpones here are
+  // only recorded as holes.
+  console.log('   💧 Encoding the hydration payload...');
+  const hydration = await renderStorage.run(finalStore, () => encodeHydrationPayload(element));
+  console.log(`   ✅ Hydration payload: ${Buffer.byteLength(hydration.payload)} bytes, ${hydration.holes.length} hole(s)`);
+
+  return {
+    ...result,
+    hydration,
+    // Only keep accesses React actually reported through onPostpone().
+    // React's development build also calls components on its own to compute
+    // component stacks - those calls reach cookies() again, but nothing is
+    // postponed by them, so they have no boundary.
+    dynamicAccesses: finalStore.dynamicAccesses.filter(a => a.boundary !== null),
+    // Cached calls the final render had to compute (see describeCacheMisses())
+    cacheMisses: describeCacheMisses(prospectiveStore, finalStore),
+    // Revalidating any of these makes the shell stale (see revalidate.js)
+    tags: Array.from(new Set([
+      getPathTag(storeOptions.pathname),
+      ...prospectiveStore.cacheTags,
+      ...finalStore.cacheTags,
+    ])).sort(),
+    // The entries the shell read - revalidatePath() evicts them
+    cacheKeys: Array.from(new Set([
+      ...prospectiveStore.cacheReads.keys(),
+      ...finalStore.cacheReads.keys(),
+    ])).sort(),
+    // cacheLife deadlines of the data in the shell (ms, Infinity = never)
+    revalidateAt: Math.min(prospectiveStore.revalidateAt, finalStore.revalidateAt),
+    expireAt: Math.min(prospectiveStore.expireAt, finalStore.expireAt),
+  };
+}
+
+/**
+ * A cacheLife deadline as an ISO string (null = never)
+ */
+function toDeadline(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Describe a prerendered page for its metadata.json
+ *
+ * @param {object} route - The route that was prerendered
+ * @param {string} path - The concrete page path (e.g. /products/1)
+ * @param {object} params - The params it was prerendered with
+ * @param {object} result - What prerenderRoute() returned
+ * @param {string} buildTime - When the page was prerendered (ISO string)
+ */
+export function createPageMetadata(route, path, params, result, buildTime) {
+  return {
+    route: route.path,
+    path,
+    params,
+    hasDynamicContent: result.dynamicAccesses.length > 0,
+    hasPostponedState: result.postponed !== null,
+    // One entry per postponed boundary: what made this page dynamic, where
+    dynamicAccesses: result.dynamicAccesses.map(a => ({
+      expression: a.expression,
+      component: a.component,
+      boundary: a.boundary,
+      reason: a.reason,
+      ownerStack: a.ownerStack,
+    })),
+    tags: result.tags,
+    cacheKeys: result.cacheKeys,
+    // From the shortest cacheLife in the shell - past expireAt the shell
+    // isn't served anymore (see isShellExpired())
+    revalidateAt: toDeadline(result.revalidateAt),
+    expireAt: toDeadline(result.expireAt),
+    buildTime,
+    // Changes whenever the shell or its hydration payload does - the
+    // server's validator for 304s (see http-cache.js)
+    etag: computeEtag(result.html, result.hydration.payload),
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * REGENERATION - Rebuilding Route Shells While the Server Runs
+ * =============================================================================
+ *
+ * This is a simplified version of Next.js's Incremental Static
+ * Regeneration (ISR).
+ *
+ * WHEN DOES A SHELL GET REGENERATED?
+ * ----------------------------------
+ * - revalidateTag()/revalidatePath() evicted data it used (it's `stale`)
+ * - The data in it is past its cacheLife `revalidate` (see cache.js)
+ * In both cases the old shell keeps being served while the new one is
+ * prerendered in the background. Only a shell past its cacheLife `expire`
+ * makes the request wait for the new one.
+ *
+ * HOW:
+ * ----
+ * 1. prerenderRoute() - the same prospective + final render as the build
+ * 2. Write the new shell.html / postponed.json / metadata.json to a NEW
+ *    directory (e.g. dist/routes/index@1718000000000/)
+ * 3. Point the route's manifest entry at it (manifest.json is replaced
+ *    with a rename, so readers see the old manifest or the new one)
+ *
+ * A request reads its manifest entry and all of its artifacts before
+ * sending a byte, so in-flight requests finish on the old shell and the
+ * next request gets the new one.
+ */
+
+import { prerenderRoute, createPageMetadata } from './prerender.js';
+import {
+  loadManifest,
+  writeManifest,
+  writeRouteArtifacts,
+  removeRouteArtifacts,
+  regeneratedArtifactDir,
+} from './manifest.js';
+
+// path → { pending, again } for regenerations in progress
+const regenerations = new Map();
+
+/**
+ * Regenerate a built page's shell (concurrent calls share one run)
+ *
+ * @param {object} route - A route from discoverRoutes()
+ * @param {object} params - The page's params
+ * @param {string} pagePath - The page's path in the manifest
+ * @returns {Promise<{ metadata, postponedState, hydration, shellHtml }>} The new
+ *   artifacts, same shape as readRouteArtifacts()
+ */
+export function regeneratePage(route, params, pagePath) {
+  const running = regenerations.get(pagePath);
+  if (running) {
+    return running.pending;
+  }
+
+  const job = { pending: null, again: false };
+  job.pending = swapInNewShell(route, params, pagePath).finally(() => {
+    regenerations.delete(pagePath);
+    if (job.again) {
+      regeneratePage(route, params, pagePath).catch(error => {
+        console.error(`   ❌ Regeneration of ${pagePath} failed:`, error);
+      });
+    }
+  });
+  regenerations.set(pagePath, job);
+  return job.pending;
+}
+
+/**
+ * Data was revalidated while a page was regenerating
+ *
+ * The prerender may already have read the old data, so run it once more
+ * after it finishes.
+ */
+export function invalidateRegeneration(pagePath) {
+  const job = regenerations.get(pagePath);
+  if (job) {
+    job.again = true;
+  }
+}
+
+/**
+ * Prerender the page, write its artifacts and switch the manifest over
+ */
+async function swapInNewShell(route, params, pagePath) {
+  console.log(`♻️  Regenerating ${pagePath} in the background...`);
+
+  const result = await prerenderRoute(route, params);
+  const metadata = createPageMetadata(route, pagePath, params, result, new Date().toISOString());
+
+  // Step 1: Write the new artifacts next to the old ones
+  const dir = regeneratedArtifactDir(pagePath, Date.now());
+  const entry = writeRouteArtifacts(pagePath, {
+    html: result.html,
+    postponed: result.postponed,
+    hydration: result.hydration,
+    metadata,
+  }, { dir });
+
+  // Step 2: Swap - from here on, requests read the new directory
+  const manifest = loadManifest();
+  const previous = manifest.routes[pagePath];
+  manifest.routes[pagePath] = entry;
+  writeManifest(manifest);
+
+  // Step 3: Nobody reads the previous regeneration anymore. The build's
+  // own output is kept as the baseline until the next build.
+  if (previous && previous.dir !== dir && previous.dir.includes('@')) {
+    removeRouteArtifacts(previous.dir);
+  }
+
+  console.log(`✅ Regenerated ${pagePath} (dist/routes/${dir}/)`);
+
+  return {
+    metadata,
+    postponedState: result.postponed,
+    hydration: result.hydration,
+    shellHtml: result.html,
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * =============================================================================
+ * RESPONSE STATE - Cookies and Headers Written During a Request
+ * =============================================================================
+ *
+ * Components and actions can write cookies (cookies().set/delete) and
+ * headers (setHeader()). Those writes are collected here and applied to
+ * the HTTP response in one go by commitResponseHeaders().
+ *
+ * WHEN ARE WRITES ALLOWED?
+ * ------------------------
+ * HTTP headers go out before the first byte of the body. With PPR the
+ * server sends the static shell IMMEDIATELY, before resume() renders any
+ * dynamic hole - so by the time UserGreeting runs, headers are gone.
+ *
+ * The rule is simple: writes are allowed until the response is committed.
+ * The server commits right before it sends its first body byte:
+ * - Static page:        before sending shell.html
+ * - PPR (resume):       before sending the shell, i.e. BEFORE any hole renders
+ * - Full render:        in onShellReady, i.e. after the shell, before holes
+ * - /login, actions:    after the handler or action has run
+ *
+ * Writing after that throws, instead of silently dropping the cookie.
+ */
+
+import { serializeCookie } from './cookies.js';
+
+/**
+ * Create the pending-writes state for one response
+ */
+export function createResponseState(res) {
+  return {
+    res,
+
+    // name → { value, options } (a delete is an expired, empty cookie)
+    cookies: new Map(),
+
+    // lowercased name → { name, value }
+    headers: new Map(),
+
+    // Set once headers have been sent - later writes throw
+    committed: false,
+  };
+}
+
+/**
+ * Throw if it's too late to change the response headers
+ *
+ * @param {object} state - From createResponseState()
+ * @param {string} expression - The API being called, for the error message
+ */
+export function assertHeadersWritable(state, expression) {
+  if (!state) {
+    throw new Error(`${expression} can only be used while handling a request`);
+  }
+  if (state.committed) {
+    throw new Error(
+      `${expression} was called after the response headers were sent. ` +
+      'With PPR the static shell is flushed before dynamic holes render, ' +
+      'so holes can read cookies and headers but not write them. ' +
+      'Write them from a server action or a route handler (like /login) instead.'
+    );
+  }
+}
+
+/**
+ * Apply all pending cookies and headers to the response and lock it
+ */
+export function commitResponseHeaders(state) {
+  if (!state || state.committed) {
+    return;
+  }
+
+  const { res } = state;
+
+  for (const { name, value } of state.headers.values()) {
+    res.setHeader(name, value);
+  }
+
+  if (state.cookies.size > 0) {
+    // Keep any Set-Cookie the handler set directly
+    const existing = res.getHeader('Set-Cookie');
+    const setCookies = existing === undefined ? [] : [].concat(existing);
+    for (const [name, { value, options }] of state.cookies) {
+      setCookies.push(serializeCookie(name, value, options));
+    }
+    res.setHeader('Set-Cookie', setCookies);
+  }
+
+  state.committed = true;
+}
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * REVALIDATION - Evicting Cache Entries Without a Rebuild
+ * =============================================================================
+ *
+ * This is a simplified version of Next.js's revalidateTag() and
+ * revalidatePath().
+ *
+ * WHAT HAPPENS:
+ * -------------
+ * revalidateTag('products'):
+ * 1. Every cache entry tagged 'products' is evicted from the cache
+ *    handler (for Redis: on every server sharing it)
+ * 2. Every route whose shell used one of those entries is marked `stale`
+ *    in dist/manifest.json
+ * 3. The server regenerates stale routes in the background, serving the
+ *    old shell until the new one is ready (see regenerate.js)
+ *
+ * revalidatePath('/about') is the same thing for one page: it evicts the
+ * entries that page used - the ones its shell read (listed in the
+ * manifest) and the ones its holes read on this server (see
+ * evictPathEntries()) - and marks that page stale.
+ *
+ * Both can be called from server actions, or through the server's
+ * POST /__ppr/revalidate endpoint (authenticated with PPR_ADMIN_TOKEN).
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { evictTaggedEntries, evictPathEntries, getPathTag } from './cache.js';
+import { loadManifest, writeManifest, markStaleRoutes } from './manifest.js';
+
+// Revalidation over HTTP is disabled unless this is set
+const ADMIN_TOKEN = process.env.PPR_ADMIN_TOKEN || null;
+
+// Called after every revalidation (the server drops in-memory shells)
+const listeners = new Set();
+
+/**
+ * Is the /__ppr/revalidate endpoint enabled?
+ */
+export function isRevalidationEndpointEnabled() {
+  return ADMIN_TOKEN !== null;
+}
+
+/**
+ * Check a bearer token against PPR_ADMIN_TOKEN (constant time)
+ */
+export function isValidAdminToken(token) {
+  if (ADMIN_TOKEN === null || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Subscribe to revalidations
+ *
+ * @param {Function} listener - Called with { tags, evicted, stalePaths }
+ */
+export function onRevalidate(listener) {
+  listeners.add(listener);
+}
+
+/**
+ * Evict cache entries and mark the routes carrying any of the tags stale
+ *
+ * @param {string[]} tags
+ * @param {Function} evict - Evicts the entries, returns their keys
+ */
+async function revalidateTags(tags, evict) {
+  const evicted = await evict();
+
+  // Without a build there are no shells to mark
+  let stalePaths = [];
+  const manifest = loadManifest();
+  if (manifest) {
+    stalePaths = markStaleRoutes(manifest, tags);
+    if (stalePaths.length > 0) {
+      writeManifest(manifest);
+    }
+  }
+
+  console.log(`   ♻️  Revalidated ${tags.join(', ')}: evicted ${evicted.length} cache entries, ${stalePaths.length} stale routes`);
+
+  const result = { tags, evicted, stalePaths };
+  for (const listener of listeners) {
+    listener(result);
+  }
+  return result;
+}
+
+/**
+ * Evict every cache entry with this tag and mark the routes using them stale
+ *
+ * @param {string} tag - A tag passed to cached()/cachedComponent()
+ */
+export async function revalidateTag(tag) {
+  if (typeof tag !== 'string' || tag === '') {
+    throw new Error('revalidateTag() expects a non-empty string');
+  }
+  return revalidateTags([tag], () => evictTaggedEntries([tag]));
+}
+
+/**
+ * Evict everything a page used and mark the page stale
+ *
+ * @param {string} path - A concrete page path, e.g. /products/1
+ */
+export async function revalidatePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    throw new Error('revalidatePath() expects a path starting with "/"');
+  }
+  // '/products/1/' and '/products/1' are the same page
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const shellKeys = loadManifest()?.routes[normalized]?.cacheKeys ?? [];
+  return revalidateTags([getPathTag(normalized)], () => evictPathEntries(normalized, shellKeys));
+}
@@ -0,0 +1,210 @@
+/**
+ * =============================================================================
+ * ROUTER - File-Based Route Table
+ * =============================================================================
+ *
+ * Every module under src/routes/ is a page. Its file path decides its URL,
+ * the same way Next.js's pages/ and app/ directories work:
+ *
+ *   src/routes/index.js          →  /
+ *   src/routes/about.js          →  /about
+ *   src/routes/products/index.js →  /products
+ *   src/routes/products/[id].js  →  /products/:id   (dynamic segment)
+ *
+ * A route module's default export is the ROOT COMPONENT for that page - the
+ * element the build prerenders and the server later resumes. It receives
+ * the matched segments as a `params` prop.
+ *
+ * DYNAMIC SEGMENTS:
+ * -----------------
+ * Like Next.js's generateStaticParams(), a dynamic route module can export:
+ *
+ *   export async function generateStaticParams() {
+ *     return [{ id: '1' }, { id: '2' }];   // prerendered at build time
+ *   }
+ *
+ *   export const dynamicParams = true;     // default
+ *
+ *   export async function isValidParams({ id }) {
+ *     return productExists(id);            // false → 404
+ *   }
+ *
+ * Params that weren't enumerated are served from the route's FALLBACK
+ * SHELL - prerendered on demand, once per route, with params() postponed -
+ * or get a 404 when the module sets `dynamicParams = false`.
+ * isValidParams() is checked before the fallback shell is sent, so a
+ * request for something that doesn't exist gets a real 404 status
+ * instead of a 200 whose holes say "not found".
+ *
+ * The build walks this table to emit one shell per route, and the server
+ * uses the same table to find the component it needs for resume().
+ */
+
+import { readdirSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROUTES_DIR = fileURLToPath(new URL('./routes/', import.meta.url));
+
+/**
+ * Recursively list every .js file under a directory
+ */
+function listRouteFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listRouteFiles(fullPath));
+    } else if (entry.name.endsWith('.js')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Turn a file path (relative to src/routes) into a URL path
+ *
+ *   index.js          → /
+ *   about.js          → /about
+ *   products/index.js → /products
+ *   products/[id].js  → /products/:id
+ */
+function filePathToRoutePath(file) {
+  const segments = file.replace(/\.js$/, '').split(sep);
+  if (segments[segments.length - 1] === 'index') {
+    segments.pop();
+  }
+  return '/' + segments
+    .map(segment => segment.replace(/^\[(\w+)\]$/, ':$1'))
+    .join('/');
+}
+
+/**
+ * Compile a route path into a matcher
+ *
+ *   /products/:id → { pattern: /^\/products\/([^/]+)$/, paramNames: ['id'] }
+ */
+function compileRoutePath(routePath) {
+  const paramNames = [];
+  const source = routePath
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('\\/');
+
+  return { pattern: new RegExp(`^${source}$`), paramNames };
+}
+
+/**
+ * Discover all routes under src/routes/
+ *
+ * @returns {Promise<Array<{
+ *   path: string,
+ *   file: string,
+ *   Component: Function,
+ *   pattern: RegExp,
+ *   paramNames: string[],
+ *   isDynamic: boolean,
+ *   generateStaticParams: Function|null,
+ *   dynamicParams: boolean,
+ *   isValidParams: Function|null,
+ * }>>}
+ */
+export async function discoverRoutes() {
+  const routes = [];
+
+  for (const fullPath of listRouteFiles(ROUTES_DIR)) {
+    const file = relative(ROUTES_DIR, fullPath);
+    const mod = await import(pathToFileURL(fullPath).href);
+
+    if (typeof mod.default !== 'function') {
+      throw new Error(
+        `Route module src/routes/${file} must default-export a root component`
+      );
+    }
+
+    const path = filePathToRoutePath(file);
+    const { pattern, paramNames } = compileRoutePath(path);
+
+    routes.push({
+      path,
+      file: `src/routes/${file}`,
+      Component: mod.default,
+      pattern,
+      paramNames,
+      isDynamic: paramNames.length > 0,
+      generateStaticParams: mod.generateStaticParams || null,
+      dynamicParams: mod.dynamicParams !== false,
+      isValidParams: mod.isValidParams || null,
+    });
+  }
+
+  // Stable order so build output and logs are deterministic.
+  // Static routes come first so /products/new beats /products/:id.
+  return routes.sort((a, b) =>
+    Number(a.isDynamic) - Number(b.isDynamic) || a.path.localeCompare(b.path)
+  );
+}
+
+/**
+ * Find the route that handles a URL path
+ *
+ * @returns {{ route: object, params: object } | null}
+ */
+export function matchRoute(routes, pathname) {
+  for (const route of routes) {
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      const params = {};
+      route.paramNames.forEach((name, i) => {
+        params[name] = decodeURIComponent(match[i + 1]);
+      });
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * List the param sets to prerender for a route at build time
+ *
+ * Static routes have exactly one (empty) param set. Dynamic routes get
+ * whatever their generateStaticParams() returns - possibly nothing, in
+ * which case every page of that route is prerendered on demand.
+ */
+export async function getRouteParams(route) {
+  if (!route.isDynamic) {
+    return [{}];
+  }
+  if (!route.generateStaticParams) {
+    return [];
+  }
+
+  const paramsList = await route.generateStaticParams();
+  for (const params of paramsList) {
+    for (const name of route.paramNames) {
+      if (typeof params[name] !== 'string') {
+        throw new Error(
+          `generateStaticParams() in ${route.file} must return a string ` +
+          `for "${name}", got ${JSON.stringify(params[name])}`
+        );
+      }
+    }
+  }
+  return paramsList;
+}
+
+/**
+ * Fill a route's dynamic segments to get a concrete URL path
+ *
+ *   buildRoutePath({ path: '/products/:id' }, { id: '1' }) → /products/1
+ */
+export function buildRoutePath(route, params) {
+  return route.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name]));
+}
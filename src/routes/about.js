@@ -0,0 +1,36 @@
+/**
+ * Route: /about
+ *
+ * A FULLY STATIC page - no dynamic APIs, no Suspense holes. The build
+ * prerenders it with no postponed state, so the server sends the shell
+ * as-is without calling resume().
+ */
+
+import React from 'react';
+import { Layout } from '../components/Layout.js';
+
+export default function AboutPage() {
+  return React.createElement(Layout, { title: 'About - PPR Demo Store' },
+    React.createElement('section', {
+      style: {
+        padding: '20px',
+        backgroundColor: 'white',
+        borderRadius: '8px',
+      }
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        style: { marginTop: 0 }
+      }, 'ℹ️ About This Store'),
+
+      React.createElement('p', { key: 'body' },
+        'This page has no dynamic APIs, so the whole page is part of the static shell.'
+      ),
+
+      React.createElement('p', {
+        key: 'note',
+        style: { color: '#666', fontSize: '14px' }
+      }, '(Fully static - served straight from dist/ with no resume step)')
+    ])
+  );
+}
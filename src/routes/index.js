@@ -0,0 +1,10 @@
+/**
+ * Route: /
+ *
+ * The original PPR demo page - static shell, a cached async component and
+ * a dynamic greeting hole. See components/App.js for the full tree.
+ */
+
+import { App } from '../components/App.js';
+
+export default App;
@@ -0,0 +1,110 @@
+/**
+ * Route: /products/:id
+ *
+ * A DYNAMIC SEGMENT route. generateStaticParams() enumerates every product
+ * in the catalog, so the build prerenders /products/1 ... /products/5.
+ *
+ * Any other id is served from the route's fallback shell, prerendered on
+ * demand (dynamicParams = true) - if isValidParams() finds the product.
+ * Ids it doesn't find get a 404. Set dynamicParams = false to 404 every
+ * id that wasn't enumerated.
+ *
+ * ProductDetails reads the id with params():
+ * - For enumerated ids, params() is static → details are in the shell
+ * - For other ids, params() postpones → the fallback shell has the
+ *   skeleton and the details stream in at request time
+ *
+ * Unpublished products (draft: true) are only found in draft mode.
+ *
+ * AddToCart is a client component ('use client') - it's rendered into the
+ * HTML here and comes alive in the browser after hydration.
+ */
+
+import React, { Suspense } from 'react';
+import { Layout } from '../../components/Layout.js';
+import { AddToCart } from '../../components/AddToCart.js';
+import { Link } from '../../components/Link.js';
+import { getProducts, getProduct, fetchProduct } from '../../data/products.js';
+import { params as getParams, draftMode } from '../../dynamic-apis.js';
+
+export async function generateStaticParams() {
+  return getProducts().map(product => ({ id: String(product.id) }));
+}
+
+export const dynamicParams = true;
+
+// Checked before the fallback shell goes out, so an unknown id is a 404 -
+// not a 200 page that CDNs and crawlers would keep. Reads the catalog
+// directly: junk ids shouldn't leave cache entries behind.
+export async function isValidParams({ id }) {
+  const { isEnabled } = await draftMode();
+  return getProduct(id, { includeDrafts: isEnabled }) !== null;
+}
+
+async function ProductDetails() {
+  const { id } = await getParams();
+  const { isEnabled } = await draftMode();
+  const product = await fetchProduct(id, { includeDrafts: isEnabled });
+
+  if (!product) {
+    return React.createElement('div', null, [
+      React.createElement('h2', { key: 'title', style: { marginTop: 0 } },
+        `🤷 No product with id "${id}"`
+      ),
+    ]);
+  }
+
+  return React.createElement('div', null, [
+    React.createElement('div', {
+      key: 'emoji',
+      style: { fontSize: '96px', textAlign: 'center' }
+    }, product.emoji),
+
+    React.createElement('h2', {
+      key: 'name',
+      style: { textAlign: 'center' }
+    }, product.name),
+
+    React.createElement('p', {
+      key: 'price',
+      style: {
+        color: '#2ecc71',
+        fontWeight: 'bold',
+        fontSize: '24px',
+        textAlign: 'center',
+      }
+    }, `$${product.price}`),
+
+    React.createElement(AddToCart, {
+      key: 'cart',
+      productId: product.id,
+      name: product.name,
+    }),
+
+    React.createElement('p', {
+      key: 'note',
+      style: { color: '#666', fontSize: '14px', textAlign: 'center' }
+    }, `(Rendered for params { id: "${id}" })`),
+  ]);
+}
+
+function ProductDetailsFallback() {
+  return React.createElement('p', {
+    style: { color: '#999', textAlign: 'center' }
+  }, '⏳ Loading product...');
+}
+
+export default function ProductPage() {
+  return React.createElement(Layout, { title: 'Product - PPR Demo Store' },
+    React.createElement('section', {
+      style: { padding: '20px', backgroundColor: 'white', borderRadius: '8px' }
+    }, [
+      React.createElement(Suspense, {
+        key: 'details',
+        fallback: React.createElement(ProductDetailsFallback)
+      }, React.createElement(ProductDetails)),
+
+      React.createElement(Link, { key: 'back', href: '/' }, '← Back to all products'),
+    ])
+  );
+}
@@ -0,0 +1,159 @@
+/**
+ * =============================================================================
+ * RSC PAYLOAD - A Route's Tree for Client-Side Navigation
+ * =============================================================================
+ *
+ * To navigate without a full page reload, the browser needs the next
+ * route's tree, not its HTML. Next.js serves it as a Flight payload when a
+ * request has the `RSC` header; we use a query parameter:
+ *
+ *   GET /products/2?_rsc=1
+ *
+ * PPR splits the payload the same way it splits the HTML:
+ *
+ *   STATIC PART   The Flight prelude the build encoded next to the shell
+ *                 (hydration.json) - sent as it is, nothing re-rendered
+ *
+ *   HOLES         What the postponed parts render for this request,
+ *                 encoded in the request store and sent one by one as
+ *                 they finish (see encodeFlightHoles())
+ *
+ * THE STREAM:
+ * -----------
+ * One JSON object per line (Content-Type: text/x-component):
+ *
+ *   {"id":"…","payload":"0:[\"$\",\"html\",...$P0...]","holes":2}  ← the prelude
+ *   {"hole":1,"payload":"0:[\"$\",\"div\",...]"}                   ← as each hole
+ *   {"hole":0,"payload":"0:[\"$\",\"p\",...]"}                       finishes
+ *
+ * The reader decodes the holes with decodeFlight() and fills them into the
+ * prelude the same way the hydration entry does. If something fails after
+ * the first line, the stream ends with {"error":"..."} instead - the
+ * reader should fall back to loading the page normally.
+ *
+ * Pages without a prelude (draft mode, no build) are encoded whole, as a
+ * prelude without holes.
+ *
+ * PREFETCHING THE PRELUDE:
+ * ------------------------
+ * The prelude is the same for everyone until the shell is rebuilt, so the
+ * client router (see client/router.js) fetches it ahead of time:
+ *
+ *   GET /products/2?_rsc=prelude          → just the first line
+ *   GET /products/2?_rsc=1&_prelude=<id>  → the holes only
+ *
+ * Every prelude line carries an `id` (a hash of the payload). When the
+ * click sends the id it already has and it still matches, the first line
+ * is only {"id":...,"holes":2} - otherwise (the shell was regenerated
+ * meanwhile) it's the full prelude again, and the router uses that.
+ *
+ * CACHING:
+ * --------
+ * A prelude on its own (and the whole payload of a page without holes) is
+ * static: it's sent with its id as the ETag and the same Cache-Control as
+ * static shells (see http-cache.js). Anything with holes is private.
+ */
+
+import { renderStorage } from './async-storage.js';
+import { commitResponseHeaders } from './response.js';
+import { encodeHydrationPayload, encodeHoleContents } from './hydration.js';
+import {
+  contentHash,
+  computeEtag,
+  isNotModified,
+  setStaticCacheHeaders,
+  setDynamicCacheHeaders,
+} from './http-cache.js';
+
+export const RSC_PARAM = '_rsc';
+
+// The prelude id the client already has
+export const PRELUDE_PARAM = '_prelude';
+
+const RSC_CONTENT_TYPE = 'text/x-component';
+
+/**
+ * Is this a request for a route's payload instead of its HTML?
+ */
+export function isRscRequest(req) {
+  return req.method === 'GET' && ['1', 'prelude'].includes(req.query[RSC_PARAM]);
+}
+
+/**
+ * Stream a route's payload: the prerendered prelude, then its holes
+ *
+ * @param {object} req - Express request (?_rsc=prelude, ?_prelude=<id>)
+ * @param {object} res - Express response
+ * @param {object} page
+ * @param {object} page.element - The route element (the same tree the
+ *   shell was prerendered from)
+ * @param {object|null} page.hydration - The prerendered { payload, holes },
+ *   or null to encode the whole tree
+ * @param {object|null} page.shell - The manifest entry or metadata of the
+ *   prerendered shell (for the cache headers)
+ * @param {object} page.requestStore - Where the holes render
+ */
+export async function streamRscPayload(req, res, { element, hydration, shell, requestStore }) {
+  res.setHeader('Content-Type', `${RSC_CONTENT_TYPE}; charset=utf-8`);
+
+  // A hole that finishes after another one failed has nowhere to go
+  const writeLine = value => !res.writableEnded && res.write(`${JSON.stringify(value)}\n`);
+
+  let prelude = hydration;
+  if (!prelude) {
+    try {
+      prelude = await renderStorage.run(requestStore, () => encodeHydrationPayload(element));
+    } catch (error) {
+      console.error('   ❌ RSC payload failed:', error);
+      res.status(500).end();
+      return;
+    }
+  }
+
+  // The prelude's id doubles as its ETag
+  const id = contentHash(prelude.payload);
+  const isPreludeOnly = req.query[RSC_PARAM] === 'prelude';
+
+  if (hydration && shell && (isPreludeOnly || prelude.holes.length === 0)) {
+    const validators = { etag: computeEtag(prelude.payload), lastModified: shell.buildTime };
+    setStaticCacheHeaders(res, shell, validators);
+    if (isNotModified(req, validators)) {
+      console.log(`   ✅ Client has prelude ${id} - 304 Not Modified`);
+      res.status(304).end();
+      return;
+    }
+  } else {
+    setDynamicCacheHeaders(res, shell);
+  }
+
+  // Like the HTML shell, the prelude commits the headers
+  commitResponseHeaders(requestStore.response);
+  if (req.query[PRELUDE_PARAM] === id) {
+    writeLine({ id, holes: prelude.holes.length });
+    console.log(`   🛰️  Client has prelude ${id} - sending only the holes`);
+  } else {
+    writeLine({ id, payload: prelude.payload, holes: prelude.holes.length });
+    console.log(`   🛰️  Sent RSC prelude ${id} (${Buffer.byteLength(prelude.payload)} bytes, ${prelude.holes.length} hole(s))`);
+  }
+
+  if (isPreludeOnly) {
+    res.end();
+    return;
+  }
+
+  if (prelude.holes.length > 0) {
+    try {
+      await renderStorage.run(requestStore, () => encodeHoleContents(element, prelude.holes, {
+        onPayload(hole, payload) {
+          writeLine({ hole, payload });
+          console.log(`   🛰️  Sent RSC hole ${hole}`);
+        },
+      }));
+    } catch (error) {
+      console.error('   ❌ RSC payload failed:', error);
+      writeLine({ error: error?.message ?? String(error) });
+    }
+  }
+
+  res.end();
+}
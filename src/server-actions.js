@@ -0,0 +1,166 @@
+/**
+ * =============================================================================
+ * SERVER ACTIONS - Functions a <form> Can Call on the Server
+ * =============================================================================
+ *
+ * This is a simplified version of Next.js's 'use server' functions.
+ *
+ * HOW IT WORKS:
+ * -------------
+ * 1. serverAction('session/login', fn) registers fn under a stable ID
+ * 2. A component renders <form action={login}>
+ * 3. React's server renderer sees the function's $$FORM_ACTION hook and
+ *    renders a plain HTML form that POSTs back to the current URL, with the
+ *    action ID in a hidden "$ACTION_ID_session/login" field
+ * 4. The server's POST handler finds that field, looks the action up here,
+ *    and runs it inside renderStorage with a request store
+ * 5. The page is then rendered through the usual shell + resume path, with
+ *    the SAME request store - so holes see the cookies the action just set
+ *
+ * No client JavaScript is needed: the form works with JS disabled.
+ * (Next.js calls this progressive enhancement.) Once the page is hydrated
+ * (see hydration.js), React calls the action itself - in the browser that's
+ * a reference from createServerActionReference(), which submits the same
+ * POST.
+ *
+ * WHY CHECK THE ORIGIN?
+ * ----------------------
+ * Any site can render a <form> that POSTs here, and the browser sends the
+ * user's cookies along - so a third-party page could log someone in or out
+ * (cross-site request forgery). Browsers say where a POST came from in its
+ * Origin header (or, in old ones, only Referer); an action runs only when
+ * that's this host. Like Next.js, but a request with neither is rejected
+ * too.
+ *
+ * WHY EXPLICIT IDS?
+ * -----------------
+ * Next.js derives action IDs with a compiler. We have no compiler, so -
+ * like cached(name, fn) - every action names itself. The ID ends up in the
+ * HTML, so it must be the same across builds and server restarts.
+ */
+
+// action ID → function
+const actionRegistry = new Map();
+
+// Form fields starting with this carry the action ID (React's convention)
+const ACTION_FIELD_PREFIX = '$ACTION_ID_';
+
+/**
+ * Register a server action
+ *
+ * @param {string} id - Stable, unique ID (e.g. 'session/login')
+ * @param {Function} fn - Receives the submitted FormData
+ * @returns {Function} fn, usable as <form action={fn}>
+ */
+export function serverAction(id, fn) {
+  if (actionRegistry.has(id)) {
+    throw new Error(`A server action with ID "${id}" is already registered`);
+  }
+
+  actionRegistry.set(id, fn);
+
+  // The action ID, for anyone who needs to look it up again
+  fn.$$id = id;
+
+  // Called by React when it renders <form action={fn}> (or formAction) on
+  // the server. No `action` URL means the browser posts to the current page.
+  fn.$$FORM_ACTION = () => ({
+    name: ACTION_FIELD_PREFIX + id,
+    method: 'POST',
+    encType: 'application/x-www-form-urlencoded',
+    data: null,
+  });
+
+  return fn;
+}
+
+/**
+ * Look up a registered action by ID (undefined if unknown)
+ */
+export function getServerAction(id) {
+  return actionRegistry.get(id);
+}
+
+/**
+ * Find the action ID in a parsed form body (null if there isn't one)
+ *
+ * @param {object} body - From express.urlencoded()
+ */
+export function getActionIdFromBody(body = {}) {
+  const field = Object.keys(body).find(key => key.startsWith(ACTION_FIELD_PREFIX));
+  return field ? field.slice(ACTION_FIELD_PREFIX.length) : null;
+}
+
+/**
+ * Did this POST come from a page on this host? (see WHY CHECK THE ORIGIN?)
+ *
+ * @param {object} req - Express request
+ */
+export function isSameOriginRequest(req) {
+  const source = req.get('origin') ?? req.get('referer');
+  if (!source) {
+    return false;
+  }
+  try {
+    // An opaque origin ("null") doesn't parse
+    return new URL(source).host === req.get('host');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn a parsed form body into the FormData an action receives
+ *
+ * React's hidden $ACTION_ID_ field is left out.
+ */
+export function createActionFormData(body = {}) {
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(body)) {
+    if (key.startsWith(ACTION_FIELD_PREFIX)) {
+      continue;
+    }
+    // Repeated fields (checkboxes, multi-selects) arrive as arrays
+    for (const item of [].concat(value)) {
+      formData.append(key, item);
+    }
+  }
+  return formData;
+}
+
+/**
+ * A server action as the browser sees it
+ *
+ * The hydrated page gets this in place of the function (the registry only
+ * exists on the server). When React calls it with the form's data, it
+ * does what the form would have done without JavaScript: POST the fields
+ * and the action ID to the current page, and show the response.
+ *
+ * @param {string} id - The action ID from the Flight payload
+ */
+export function createServerActionReference(id) {
+  async function submitServerAction(formData) {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = window.location.href;
+    form.enctype = 'application/x-www-form-urlencoded';
+    form.hidden = true;
+
+    const fields = [[ACTION_FIELD_PREFIX + id, ''], ...formData]
+      // React adds its own hidden action field; files can't be urlencoded
+      .filter(([name, value], i) => (i === 0 || !name.startsWith(ACTION_FIELD_PREFIX)) && typeof value === 'string');
+    for (const [name, value] of fields) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.append(input);
+    }
+
+    document.body.append(form);
+    form.submit();
+  }
+
+  submitServerAction.$$id = id;
+  return submitServerAction;
+}
@@ -24,32 +24,202 @@
  * - React knows exactly where to inject the dynamic content
  *
  * This is achieved using a custom React build with enableHalt=true.
+ *
+ * ROUTING:
+ * --------
+ * Every route under src/routes/ has its own prerendered artifacts. The
+ * catch-all handler looks the request path up in dist/manifest.json and
+ * resumes that route's root component with that route's postponed state.
+ *
+ * Dynamic routes (/products/:id) whose params weren't enumerated at build
+ * time are served from the route's FALLBACK SHELL: prerendered ON DEMAND
+ * the first time any of them is requested - the same two-phase prerender
+ * the build uses, with params() postponed - and then resumed as usual.
+ * Routes that set `dynamicParams = false` return 404 instead, as do params
+ * the route's isValidParams() rejects.
+ *
+ * SERVER ACTIONS:
+ * ---------------
+ * A <form action={fn}> POSTs back to the page it's on. The POST handler
+ * runs the action (see server-actions.js), then renders the page through
+ * the same shell + resume path, reusing the action's request store - so
+ * its cookies are committed with the shell and visible to the holes.
+ *
+ * HYDRATION:
+ * ----------
+ * Every page ends with the Flight payload the browser hydrates from (see
+ * hydration.js): prerendered with the shell, plus what's in the holes,
+ * encoded after they've been resumed. The JavaScript that hydrates it is
+ * served from /__ppr/client/ (see client-bundle.js).
+ *
+ * CLIENT NAVIGATION:
+ * ------------------
+ * `?_rsc=1` asks for a page's Flight payload instead of its HTML (see
+ * rsc-payload.js): the build's prelude right away, then each hole as it
+ * renders.
+ *
+ * HTTP CACHING:
+ * -------------
+ * Fully static pages are sent with the ETag computed when they were
+ * prerendered, and a 304 when the client already has them. PPR pages are
+ * `private` - their holes are rendered per user (see http-cache.js).
+ *
+ * REVALIDATION:
+ * -------------
+ * revalidateTag()/revalidatePath() (see revalidate.js) mark shells stale,
+ * as does data in them passing its cacheLife `revalidate`. Stale shells
+ * keep being served while regenerate.js rebuilds them in the background.
+ * Only a shell past its cacheLife `expire` makes the request wait.
  */
 
 import express from 'express';
-import { readFileSync, existsSync } from 'node:fs';
 import React from 'react';
 
 // Import streaming SSR APIs (including resume!)
 import { renderToPipeableStream, resumeToPipeableStream } from 'react-dom/server';
 
-import { App } from './components/App.js';
 import { renderStorage, createRequestStore } from './async-storage.js';
+import { cookies } from './dynamic-apis.js';
+import { serializeCookie } from './cookies.js';
+import { commitResponseHeaders } from './response.js';
+import {
+  getServerAction,
+  getActionIdFromBody,
+  createActionFormData,
+  isSameOriginRequest,
+} from './server-actions.js';
+import { discoverRoutes, matchRoute, buildRoutePath } from './router.js';
+import { loadManifest, readRouteArtifacts, isShellStale, isShellExpired } from './manifest.js';
+import { prerenderRoute, createPageMetadata } from './prerender.js';
+import {
+  encodeHydrationPayload,
+  encodeHydrationHoles,
+  hydrationScript,
+  insertBeforeDocumentEnd,
+  createHydrationStream,
+} from './hydration.js';
+import { isRscRequest, streamRscPayload } from './rsc-payload.js';
+import { isNotModified, setStaticCacheHeaders, setDynamicCacheHeaders } from './http-cache.js';
+import { CLIENT_BASE_URL, IMPORT_MAP, getClientModule, withClientModulePreloads } from './client-bundle.js';
+import { registerClientModules } from './client-manifest.js';
+import { regeneratePage, invalidateRegeneration } from './regenerate.js';
+import {
+  revalidateTag,
+  revalidatePath,
+  onRevalidate,
+  isRevalidationEndpointEnabled,
+  isValidAdminToken,
+} from './revalidate.js';
+import {
+  DRAFT_COOKIE,
+  DRAFT_MAX_AGE_SECONDS,
+  createDraftCookieValue,
+  isDraftRequest,
+  isValidDraftSecret,
+  isDraftModeEnabled,
+} from './draft-mode.js';
 
-// Load the cache (populated at build time)
-import { loadCache } from './cache.js';
-loadCache();
+// Connect to the cache handler (dist/cache/ by default, populated at build time)
+import { getCacheHandler, getCacheStats } from './cache.js';
+import { isCacheMetricsEnabled, getCacheMetrics, formatPrometheusMetrics } from './cache-metrics.js';
+const cacheHandler = await getCacheHandler();
+
+// The route table (same one the build walked)
+const routes = await discoverRoutes();
+
+// 'use client' components render as references in Flight payloads (see
+// client-manifest.js)
+await registerClientModules();
 
 const app = express();
 const PORT = 3000;
 
+// Fallback shells prerendered on demand (route path → { pending, tags,
+// metadata }). One per dynamic route, whatever params are requested, so
+// the route table bounds it. Storing the promise means concurrent requests
+// share one prerender.
+const fallbackShells = new Map();
+
+/**
+ * The shell for a dynamic route's params that weren't enumerated at build
+ * time
+ *
+ * Every such page gets the same shell - params() postpones, so nothing
+ * about the params is in it. Returns the same shape as
+ * readRouteArtifacts(), but the artifacts only live in memory for the
+ * lifetime of this server process.
+ */
+function prerenderFallbackShell(route) {
+  // Its data outlived its cacheLife - prerender it again
+  const existing = fallbackShells.get(route.path);
+  if (existing?.metadata && isShellExpired(existing.metadata)) {
+    fallbackShells.delete(route.path);
+  }
+
+  if (!fallbackShells.has(route.path)) {
+    const shell = { pending: null, tags: null, metadata: null };
+    shell.pending = prerenderRoute(route, {}, { staticParams: false }).then(result => {
+      shell.tags = result.tags;
+      shell.metadata = createPageMetadata(route, route.path, {}, result, new Date().toISOString());
+      return {
+        metadata: shell.metadata,
+        postponedState: result.postponed,
+        hydration: result.hydration,
+        shellHtml: result.html,
+      };
+    });
+
+    // Don't cache failures - the next request should try again
+    shell.pending.catch(() => fallbackShells.delete(route.path));
+    fallbackShells.set(route.path, shell);
+  }
+  return fallbackShells.get(route.path).pending;
+}
+
+// Revalidated tags make in-memory shells stale too. A prerender that's
+// still running (tags unknown) may have used an evicted entry - drop it.
+// Built shells that went stale start regenerating right away.
+onRevalidate(({ tags, stalePaths }) => {
+  for (const [routePath, shell] of fallbackShells) {
+    if (shell.tags === null || shell.tags.some(tag => tags.includes(tag))) {
+      fallbackShells.delete(routePath);
+    }
+  }
+
+  for (const pagePath of stalePaths) {
+    const match = matchRoute(routes, pagePath);
+    if (!match) {
+      continue;
+    }
+    invalidateRegeneration(pagePath);
+    regeneratePage(match.route, match.params, pagePath).catch(error => {
+      console.error(`Regeneration of ${pagePath} failed:`, error);
+    });
+  }
+});
+
 /**
  * Main request handler - This is where PPR happens!
+ *
+ * Registered as a catch-all at the bottom of this file, after the
+ * /login and /logout endpoints.
+ *
+ * @param {object} [actionStore] - The request store a server action just
+ *   ran in. Its pending cookie/header writes go out with this response.
  */
-app.get('/', async (req, res) => {
+async function handlePage(req, res, actionStore = null) {
+  const match = matchRoute(routes, req.path);
+  if (!match) {
+    res.status(404).send('Not Found');
+    return;
+  }
+
+  const { route, params } = match;
+  const pagePath = buildRoutePath(route, params);
+
   console.log('');
   console.log('='.repeat(60));
-  console.log(' INCOMING REQUEST');
+  console.log(` INCOMING REQUEST: ${pagePath}`);
   console.log('='.repeat(60));
   console.log('');
   console.log('Cookies:', req.headers.cookie || '(none)');
@@ -61,20 +231,97 @@ app.get('/', async (req, res) => {
 
   let metadata = null;
   let postponedState = null;
+  let hydration = null;
+  let shellHtml = null;
+
+  // The `params` prop the shell was prerendered with - the fallback
+  // shell's is empty, whatever the URL says
+  let shellParams = params;
+
+  const manifest = loadManifest();
+  const manifestEntry = manifest?.routes[pagePath];
+  const isDraftMode = isDraftRequest(req);
 
-  if (existsSync('./dist/metadata.json')) {
-    metadata = JSON.parse(readFileSync('./dist/metadata.json', 'utf-8'));
-    console.log('📄 Step 1: Found prerendered page');
+  // Create a request store with the actual HTTP request
+  const requestStore = actionStore ?? createRequestStore(req, { params, isDraftMode, res });
+
+  if (manifest && !manifestEntry && route.isDynamic && !route.dynamicParams) {
+    console.log(`🚫 Step 1: ${pagePath} wasn't prerendered and ${route.file} sets dynamicParams = false`);
+    res.status(404).send('Not Found');
+    return;
+  }
+
+  // Checked before anything is sent - once the shell is out, the status
+  // can't change anymore
+  if (!manifestEntry && route.isValidParams &&
+      !(await renderStorage.run(requestStore, () => route.isValidParams({ ...params })))) {
+    console.log(`🚫 Step 1: ${route.file} has nothing for ${pagePath} (isValidParams() returned false)`);
+    res.status(404).send('Not Found');
+    return;
+  }
+
+  if (isDraftMode) {
+    // =======================================================================
+    // DRAFT MODE - Skip the shell entirely
+    // =======================================================================
+    //
+    // The shell only has published content, so draft requests leave
+    // metadata/postponedState empty and fall through to a full render.
+    //
+    // =======================================================================
+    console.log('📝 Step 1: Draft mode cookie present - bypassing the static shell');
+  } else if (manifestEntry && isShellExpired(manifestEntry)) {
+    // =======================================================================
+    // EXPIRED - The shell's data is past its cacheLife `expire`, so it
+    // can't be served. Wait for the regenerated one.
+    // =======================================================================
+
+    console.log(`⌛ Step 1: The shell for ${pagePath} has expired - regenerating it...`);
+    try {
+      ({ metadata, postponedState, hydration, shellHtml } = await regeneratePage(route, params, pagePath));
+    } catch (error) {
+      console.error('Regeneration failed:', error);
+      res.status(500).send('Internal Server Error');
+      return;
+    }
+    console.log(`📄 Step 1: Using regenerated shell for ${pagePath}`);
+  } else if (manifestEntry) {
+    ({ metadata, postponedState, hydration, shellHtml } = readRouteArtifacts(manifestEntry));
+    console.log(`📄 Step 1: Found prerendered page (dist/routes/${manifestEntry.dir}/)`);
+
+    if (isShellStale(manifestEntry)) {
+      // Serve this one, the next request gets the regenerated shell
+      console.log('   ♻️  Shell is stale - serving it while it regenerates in the background');
+      regeneratePage(route, params, pagePath).catch(error => {
+        console.error(`Regeneration of ${pagePath} failed:`, error);
+      });
+    }
+  } else if (manifest && route.isDynamic) {
+    // =======================================================================
+    // NOT ENUMERATED BY generateStaticParams()
+    // =======================================================================
+
+    console.log(`🧩 Step 1: ${pagePath} wasn't prerendered at build time - using the fallback shell for ${route.path}...`);
+    try {
+      ({ metadata, postponedState, hydration, shellHtml } = await prerenderFallbackShell(route));
+      shellParams = {};
+    } catch (error) {
+      console.error('On-demand prerender failed:', error);
+      res.status(500).send('Internal Server Error');
+      return;
+    }
+    console.log(`📄 Step 1: Using the fallback shell for ${pagePath}`);
+  } else {
+    console.log('⚠️  No prerendered shell found. Run `npm run build` first!');
+  }
+
+  if (metadata) {
     console.log(`   Has dynamic content: ${metadata.hasDynamicContent ? 'YES' : 'NO'}`);
     console.log(`   Has postponed state: ${metadata.hasPostponedState ? 'YES' : 'NO'}`);
 
-    // Load postponed state if available
-    if (metadata.hasPostponedState && existsSync('./dist/postponed.json')) {
-      postponedState = JSON.parse(readFileSync('./dist/postponed.json', 'utf-8'));
+    if (postponedState) {
       console.log('   ✅ Loaded postponed state for resume');
     }
-  } else {
-    console.log('⚠️  No prerendered shell found. Run `npm run build` first!');
   }
 
   console.log('');
@@ -83,7 +330,36 @@ app.get('/', async (req, res) => {
   // STEP 2: Handle the request based on page type
   // =========================================================================
 
-  if (metadata && !metadata.hasDynamicContent) {
+  // The same element the shell was prerendered from - resume and the
+  // hydration payload need exactly this tree. For a fallback shell that's
+  // an empty `params` prop too: the real values only come in through
+  // params(), which postponed.
+  const element = withClientModulePreloads(route, React.createElement(route.Component, { params: shellParams }));
+
+  // What the cache headers are derived from - the manifest entry also
+  // knows if the shell has been revalidated since it was written
+  const shell = metadata && manifestEntry?.etag === metadata.etag ? manifestEntry : metadata;
+
+  if (isRscRequest(req)) {
+    // =========================================================================
+    // CLIENT NAVIGATION - The route's Flight payload instead of its HTML
+    // =========================================================================
+    //
+    // Same split as the HTML: the prerendered prelude, then only the holes
+    // rendered for this request (see rsc-payload.js)
+    //
+    // =========================================================================
+
+    console.log('🛰️  Step 2: Streaming the RSC payload for client navigation...');
+    console.log('');
+
+    if (isDraftMode) {
+      // Unpublished content must never end up in a shared cache
+      res.setHeader('Cache-Control', 'private, no-store');
+    }
+    await streamRscPayload(req, res, { element, hydration, shell, requestStore });
+
+  } else if (metadata && !metadata.hasDynamicContent) {
     // =========================================================================
     // FULLY STATIC PAGE - Just send the prerendered HTML
     // =========================================================================
@@ -96,9 +372,22 @@ app.get('/', async (req, res) => {
     console.log('📄 Step 2: Page is fully static, sending prerendered HTML');
     console.log('');
 
-    const shellHtml = readFileSync('./dist/shell.html', 'utf-8');
+    // The same bytes for everyone until the shell is regenerated - browsers
+    // and CDNs may keep it (not after a server action, which is a POST)
+    if (!actionStore && shell.etag) {
+      const validators = { etag: shell.etag, lastModified: shell.buildTime };
+      setStaticCacheHeaders(res, shell, validators);
+      if (isNotModified(req, validators)) {
+        console.log(`   ✅ Client has ${shell.etag} - 304 Not Modified`);
+        res.status(304).end();
+        return;
+      }
+    }
+
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(shellHtml);
+    commitResponseHeaders(requestStore.response);
+    // No holes - the prerendered payload is all the client needs
+    res.send(hydration ? insertBeforeDocumentEnd(shellHtml, hydrationScript(hydration.payload, [])) : shellHtml);
 
   } else if (postponedState) {
     // =========================================================================
@@ -118,27 +407,44 @@ app.get('/', async (req, res) => {
 
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.setHeader('Transfer-Encoding', 'chunked');
+    // The shell is shared, the holes aren't
+    setDynamicCacheHeaders(res, shell);
+
+    // Headers go out with the shell - from here on, cookies().set() and
+    // setHeader() throw, because no hole has rendered yet and none can
+    // change the headers anymore (see response.js)
+    commitResponseHeaders(requestStore.response);
 
     // Step 2a: Send the static shell first (without closing </body></html>)
-    const shellHtml = readFileSync('./dist/shell.html', 'utf-8');
     // The shell ends before </body></html>, we'll add those after streaming
     const shellWithoutClose = shellHtml.replace(/<\/body><\/html>\s*$/, '');
     res.write(shellWithoutClose);
     console.log('   📄 Sent static shell');
 
-    // Create a request store with the actual HTTP request
-    const requestStore = createRequestStore(req);
+    // Step 2c (at the end): encode what the holes rendered for hydration
+    const output = createHydrationStream(async () => {
+      if (!hydration) {
+        return '';
+      }
+      const holes = await renderStorage.run(requestStore, () => encodeHydrationHoles(element, hydration.holes));
+      console.log(`   💧 Sent hydration payload (${holes.filter(Boolean).length}/${holes.length} hole(s))`);
+      return hydrationScript(hydration.payload, holes);
+    });
+    output.pipe(res);
 
     // Step 2b: Stream the dynamic content
     await new Promise((resolve, reject) => {
       renderStorage.run(requestStore, () => {
+        // React takes apart the postponed state it resumes from, and the
+        // one we have is shared by every request for this shell (see
+        // readRouteArtifacts()) - so resume from a copy
         const { pipe } = resumeToPipeableStream(
-          React.createElement(App),
-          postponedState,
+          element,
+          structuredClone(postponedState),
           {
             onShellReady() {
               console.log('   📦 Resume shell ready, streaming dynamic content...');
-              pipe(res);
+              pipe(output);
             },
             onAllReady() {
               console.log('   ✨ All dynamic content rendered!');
@@ -162,25 +468,43 @@ app.get('/', async (req, res) => {
 
   } else {
     // =========================================================================
-    // FALLBACK - Full render (no postponed state available)
+    // FALLBACK - Full render (no postponed state available, or draft mode)
     // =========================================================================
 
-    console.log('🔄 Step 2: No postponed state, doing full render...');
+    if (isDraftMode) {
+      console.log('📝 Step 2: Draft mode, doing full render (cache bypassed)...');
+    } else {
+      console.log('🔄 Step 2: No postponed state, doing full render...');
+    }
     console.log('');
 
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.setHeader('Transfer-Encoding', 'chunked');
+    if (isDraftMode) {
+      // Unpublished content must never end up in a shared cache
+      res.setHeader('Cache-Control', 'private, no-store');
+    }
+    setDynamicCacheHeaders(res, shell);
 
-    const requestStore = createRequestStore(req);
+    // Nothing was prerendered - encode the whole page for hydration
+    const output = createHydrationStream(async () => {
+      const { payload } = await renderStorage.run(requestStore, () => encodeHydrationPayload(element));
+      return hydrationScript(payload, []);
+    });
+    output.pipe(res);
 
     await new Promise((resolve, reject) => {
       renderStorage.run(requestStore, () => {
         const { pipe } = renderToPipeableStream(
-          React.createElement(App),
+          element,
           {
+            importMap: IMPORT_MAP,
             onShellReady() {
               console.log('   📦 Shell ready, streaming to client...');
-              pipe(res);
+              // Components outside Suspense have run - commit their
+              // cookie/header writes before the first byte goes out
+              commitResponseHeaders(requestStore.response);
+              pipe(output);
             },
             onAllReady() {
               console.log('   ✨ All content rendered');
@@ -199,14 +523,76 @@ app.get('/', async (req, res) => {
       });
     });
   }
-});
+}
+
+/**
+ * Server action handler - a <form action={fn}> was submitted
+ *
+ * Runs the action with a request store, then hands that store to
+ * handlePage() so the page is rendered on the same response.
+ */
+async function handleAction(req, res) {
+  const match = matchRoute(routes, req.path);
+  if (!match) {
+    res.status(404).send('Not Found');
+    return;
+  }
+
+  const actionId = getActionIdFromBody(req.body);
+  if (!actionId) {
+    res.status(400).send('Missing server action ID');
+    return;
+  }
+
+  const action = getServerAction(actionId);
+  if (!action) {
+    res.status(404).send(`Unknown server action "${actionId}"`);
+    return;
+  }
+
+  if (!isSameOriginRequest(req)) {
+    console.warn(`⚠️  Rejected server action "${actionId}" from ${req.get('origin') ?? req.get('referer') ?? 'an unknown origin'}`);
+    res.status(403).send('Cross-origin server action');
+    return;
+  }
+
+  console.log('');
+  console.log(`⚙️  Running server action "${actionId}" for ${req.path}`);
+
+  const requestStore = createRequestStore(req, {
+    params: match.params,
+    isDraftMode: isDraftRequest(req),
+    res,
+  });
+
+  try {
+    await renderStorage.run(requestStore, () => action(createActionFormData(req.body)));
+  } catch (error) {
+    console.error(`Server action "${actionId}" failed:`, error);
+    res.status(500).send('Internal Server Error');
+    return;
+  }
+
+  // The action's cookies are still pending - they're committed with the
+  // shell, and cookies().get() in the holes already sees them. Anything
+  // memoized before it ran may be out of date now (see memo.js).
+  requestStore.memoCache.clear();
+  await handlePage(req, res, requestStore);
+}
 
 /**
  * Endpoint to set a test cookie (login)
  */
-app.get('/login', (req, res) => {
+app.get('/login', async (req, res) => {
   const username = req.query.name || 'TestUser';
-  res.setHeader('Set-Cookie', `username=${username}; Path=/; HttpOnly`);
+
+  // Same cookie API components use - serialized and committed for us
+  const requestStore = createRequestStore(req, { res });
+  await renderStorage.run(requestStore, async () => {
+    (await cookies()).set('username', username, { httpOnly: true });
+  });
+  commitResponseHeaders(requestStore.response);
+
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -244,8 +630,13 @@ app.get('/login', (req, res) => {
 /**
  * Endpoint to clear the cookie (logout)
  */
-app.get('/logout', (req, res) => {
-  res.setHeader('Set-Cookie', 'username=; Path=/; HttpOnly; Max-Age=0');
+app.get('/logout', async (req, res) => {
+  const requestStore = createRequestStore(req, { res });
+  await renderStorage.run(requestStore, async () => {
+    (await cookies()).delete('username', { httpOnly: true });
+  });
+  commitResponseHeaders(requestStore.response);
+
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -277,6 +668,136 @@ app.get('/logout', (req, res) => {
   `);
 });
 
+/**
+ * Only allow same-site redirect targets like /products/6
+ */
+function safeRedirectPath(path) {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//')
+    ? path
+    : '/';
+}
+
+/**
+ * Endpoint to turn on draft mode (editors only)
+ *
+ *   /draft/enable?secret=...&redirect=/products/6
+ *
+ * Disabled unless PPR_DRAFT_SECRET is set.
+ */
+app.get('/draft/enable', (req, res) => {
+  if (!isDraftModeEnabled()) {
+    res.status(404).send('Not Found');
+    return;
+  }
+  if (!isValidDraftSecret(req.query.secret)) {
+    res.status(401).send('Invalid draft mode secret');
+    return;
+  }
+  res.setHeader(
+    'Set-Cookie',
+    serializeCookie(DRAFT_COOKIE, createDraftCookieValue(), {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: DRAFT_MAX_AGE_SECONDS,
+    })
+  );
+  res.redirect(safeRedirectPath(req.query.redirect));
+});
+
+/**
+ * Endpoint to turn off draft mode
+ */
+app.get('/draft/disable', (req, res) => {
+  res.setHeader(
+    'Set-Cookie',
+    serializeCookie(DRAFT_COOKIE, '', { httpOnly: true, sameSite: 'lax', maxAge: 0 })
+  );
+  res.redirect(safeRedirectPath(req.query.redirect));
+});
+
+/**
+ * Revalidation endpoint (for a CMS webhook, say)
+ *
+ *   curl -X POST -H "Authorization: Bearer $PPR_ADMIN_TOKEN" \
+ *        -d tag=products http://localhost:3000/__ppr/revalidate
+ *
+ * Accepts `tag` or `path`, as a form or JSON body. Disabled unless
+ * PPR_ADMIN_TOKEN is set.
+ */
+app.post(
+  '/__ppr/revalidate',
+  express.json(),
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    if (!isRevalidationEndpointEnabled()) {
+      res.status(404).send('Not Found');
+      return;
+    }
+
+    const token = req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+    if (!isValidAdminToken(token)) {
+      res.status(401).send('Invalid admin token');
+      return;
+    }
+
+    const { tag, path } = req.body ?? {};
+    try {
+      if (tag !== undefined) {
+        res.json(await revalidateTag(tag));
+      } else if (path !== undefined) {
+        res.json(await revalidatePath(path));
+      } else {
+        res.status(400).send('Expected a "tag" or "path"');
+      }
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+/**
+ * Cache metrics (see cache-metrics.js) - disabled unless PPR_CACHE_METRICS=1
+ *
+ *   GET /__ppr/cache  JSON: hits, misses, fill time, size, last access and
+ *                     tags per cached function and per entry
+ *   GET /metrics      The per-function numbers for Prometheus
+ */
+app.get('/__ppr/cache', async (req, res) => {
+  if (!isCacheMetricsEnabled()) {
+    res.status(404).send('Not Found');
+    return;
+  }
+  const { size } = await getCacheStats();
+  res.json({ handler: cacheHandler.name, storedEntries: size, ...getCacheMetrics() });
+});
+
+app.get('/metrics', (req, res) => {
+  if (!isCacheMetricsEnabled()) {
+    res.status(404).send('Not Found');
+    return;
+  }
+  res.type('text/plain; version=0.0.4').send(formatPrometheusMetrics());
+});
+
+/**
+ * The client bundle (see client-bundle.js) - React for the browser, and
+ * the hydration entry
+ */
+app.get(`${CLIENT_BASE_URL}/*`, (req, res) => {
+  const source = getClientModule(req.params[0]);
+  if (source === null) {
+    res.status(404).send('Not Found');
+    return;
+  }
+  res.type('text/javascript').send(source);
+});
+
+// Every other GET is a page request
+app.get('*', (req, res) => handlePage(req, res));
+
+// Every other POST is a server action submitted from a page
+app.post('*', express.urlencoded({ extended: false }), handleAction);
+
 // Start the server
 app.listen(PORT, () => {
   console.log('');
@@ -287,9 +808,22 @@ app.listen(PORT, () => {
   console.log(`🌐 Server running at: http://localhost:${PORT}`);
   console.log('');
   console.log('Available routes:');
-  console.log('  GET /           - Main page (PPR demo with resume)');
+  routes.forEach(route => {
+    console.log(`  GET ${route.path.padEnd(12)} - ${route.file}`);
+  });
   console.log('  GET /login?name=X - Set username cookie');
   console.log('  GET /logout     - Clear the cookie');
+  if (isDraftModeEnabled()) {
+    console.log('  GET /draft/enable?secret=X - Turn on draft mode');
+    console.log('  GET /draft/disable - Turn off draft mode');
+  }
+  if (isRevalidationEndpointEnabled()) {
+    console.log('  POST /__ppr/revalidate - Revalidate a tag or path (admin token)');
+  }
+  if (isCacheMetricsEnabled()) {
+    console.log('  GET /__ppr/cache - Cache metrics (JSON)');
+    console.log('  GET /metrics     - Cache metrics (Prometheus)');
+  }
   console.log('');
   console.log('Try this:');
   console.log('  1. Visit http://localhost:3000 (see "Guest" greeting)');
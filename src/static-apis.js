@@ -1,4 +1,9 @@
-export function getCurrentTime() {
+import { memo } from './memo.js';
+
+// Memoized per render: the prerendered shell and the hydration payload
+// (see hydration.js) render the header and footer separately, and must
+// show the same time
+export const getCurrentTime = memo(function getCurrentTime() {
   console.log('[static-apis] getCurrentTime() called');
   return new Date().toLocaleTimeString();
-}
+});